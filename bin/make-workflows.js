@@ -6,18 +6,622 @@ require('@babel/register'); // flow-uncovered-line
 
 const fs = require('fs');
 const path = require('path');
+const chalk = require('chalk');
 const {execSync} = require('child_process');
-const {processFile} = require('../lib/workflow-preprocessor');
+const {combineTemplate, compileTemplate} = require('../lib/workflow-preprocessor');
+const {unifiedDiff} = require('../lib/diff');
+const {formatLockfile, lockfileName} = require('../lib/includes');
+const {
+    pinsLockfileName,
+    actionsUsed,
+    pinUses,
+    githubResolver,
+    resolvePins,
+    formatPins,
+    parsePins,
+} = require('../lib/action-pins');
+const {actionsDir} = require('../lib/setup-actions');
+const {findStep, explainStep} = require('../lib/provenance');
+const {parseVar, substituteVars} = require('../lib/template-vars');
+const {lintWorkflow, unusedSetups, formatProblems, uniqueProblems} = require('../lib/lint');
+const {parseFormat, formatGraphs} = require('../lib/graph');
+const {loadConfig, findTemplates, findTemplate} = require('../lib/config');
+const {writeIfChanged} = require('../lib/utils');
+
+/*::
+import type {IncludedPackages} from '../lib/includes';
+import type {Pins} from '../lib/action-pins';
+import type {Template} from '../lib/config';
+import type {WriteStatus} from '../lib/utils';
+*/
 
 const topLevel = execSync('git rev-parse --show-toplevel')
     .toString('utf8')
     .trim();
-const outDir = path.join(topLevel, '.github/workflows');
-const inDir = path.join(topLevel, '.github/workflow-templates');
+const config = (() => {
+    try {
+        return loadConfig(topLevel);
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+        // flow doesn't know that we've exited
+        throw err;
+    }
+})();
+const outDir = path.resolve(topLevel, config.outputDir);
+// Included packages are recorded next to the templates of the first root.
+const lockfileDir = path.resolve(topLevel, config.templateRoots[0]);
+const lockfile = path.join(lockfileDir, lockfileName);
+const actionFile = setupId => path.join(topLevel, actionsDir, setupId, 'action.yml');
+const pinsFile = path.join(topLevel, '.github', pinsLockfileName);
+
+// Overrides for the templates' `vars`, from `--var name=value`
+const vars = {};
+process.argv.slice(2).forEach((arg, i, all) => {
+    if (arg === '--var') {
+        try {
+            const [name, value] = parseVar(all[i + 1] || '');
+            vars[name] = value;
+        } catch (err) {
+            console.error(chalk.red(err.message));
+            process.exit(1);
+        }
+    }
+});
+
+const compile = (infile /*: string*/) =>
+    compileTemplate(infile, {vars, header: config.header, root: topLevel});
+
+const templates = () /*: Array<Template>*/ => findTemplates(topLevel, config);
+
+// Generated workflows whose template no longer exists.
+const findOrphans = (names /*: Array<string>*/) =>
+    fs.existsSync(outDir)
+        ? fs
+              .readdirSync(outDir)
+              .filter(
+                  name =>
+                      config.extensions.some(extension => name.endsWith(extension)) &&
+                      !names.includes(name) &&
+                      fs.readFileSync(path.join(outDir, name), 'utf8').startsWith(config.header),
+              )
+        : [];
+
+const statusColors = {created: chalk.green, updated: chalk.yellow, unchanged: chalk.dim};
+
+// Write a generated file, saying whether it changed.
+const writeGenerated = (file /*: string*/, contents /*: string*/) /*: WriteStatus*/ => {
+    const status = writeIfChanged(file, contents);
+    console.log(statusColors[status](`${status.padEnd(9)} ${path.relative(topLevel, file)}`));
+    return status;
+};
+
+/**
+ * Delete the generated workflows whose template no longer exists, or with
+ * `--no-prune`, just list them.
+ */
+const pruneOrphans = (names /*: Array<string>*/) => {
+    const prune = !process.argv.includes('--no-prune');
+    findOrphans(names).forEach(name => {
+        const file = path.join(outDir, name);
+        const relative = path.relative(topLevel, file);
+        if (prune) {
+            fs.unlinkSync(file);
+            console.log(chalk.red(`${'deleted'.padEnd(9)} ${relative}`));
+        } else {
+            console.log(
+                chalk.yellow(
+                    `${relative} was generated from a template that no longer exists ` +
+                        `(not deleted, because of --no-prune)`,
+                ),
+            );
+        }
+    });
+};
+
+const colorDiff = (diff /*: string*/) =>
+    diff
+        .split('\n')
+        .map(
+            line =>
+                line.startsWith('+')
+                    ? chalk.green(line)
+                    : line.startsWith('-')
+                        ? chalk.red(line)
+                        : line.startsWith('@@')
+                            ? chalk.cyan(line)
+                            : line,
+        )
+        .join('\n');
+
+const readIfExists = (file /*: string*/) =>
+    fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
 
-fs.readdirSync(inDir)
-    .filter(name => name.endsWith('.yml') && !name.startsWith('_'))
-    .forEach(fname => {
-        console.log(fname);
-        processFile(path.resolve(inDir, fname), path.join(outDir, fname));
+/**
+ * Combine the actions that each template compiled its setups into. As they
+ * share a directory, templates had better agree on what a setup's action is.
+ */
+const mergeActions = (byTemplate /*: {[fname: string]: {[setupId: string]: string}}*/) => {
+    const actions = {};
+    const from = {};
+    Object.keys(byTemplate).forEach(fname => {
+        Object.keys(byTemplate[fname]).forEach(setupId => {
+            const contents = byTemplate[fname][setupId];
+            if (from[setupId] && actions[setupId] !== contents) {
+                throw new Error(
+                    `Setup "${setupId}" is compiled into different actions ` +
+                        `by ${from[setupId]} and ${fname}`,
+                );
+            }
+            actions[setupId] = contents;
+            from[setupId] = fname;
+        });
+    });
+    return actions;
+};
+
+// The actions that are pinned (see `action-pins.js`), if any are.
+const loadPins = () /*: ?Pins*/ =>
+    fs.existsSync(pinsFile) ? parsePins(fs.readFileSync(pinsFile, 'utf8')) : null;
+
+const pinned = (text /*: string*/, pins /*: ?Pins*/) => (pins ? pinUses(text, pins) : text);
+
+/**
+ * Pin every action that the generated files use, resolving the ones that
+ * aren't in the lockfile yet (or all of them, if we're refreshing).
+ */
+const updatePins = (texts /*: Array<string>*/, refresh /*: boolean*/) /*: Pins*/ => {
+    const current = refresh ? {} : loadPins() || {};
+    const pins = resolvePins(actionsUsed(texts), current, githubResolver);
+    writeIfChanged(pinsFile, formatPins(pins));
+    console.log(
+        chalk.dim(
+            `Pinned ${Object.keys(pins).length} actions in ${path.relative(topLevel, pinsFile)}`,
+        ),
+    );
+    return pins;
+};
+
+const writeActions = (actions /*: {[setupId: string]: string}*/, pins /*: ?Pins*/) => {
+    Object.keys(actions).forEach(setupId => {
+        const file = actionFile(setupId);
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        writeGenerated(file, pinned(actions[setupId], pins));
+    });
+};
+
+// Record the packages that templates include, or remove the lockfile if none do.
+const writeLockfile = (packages /*: IncludedPackages*/) => {
+    const contents = formatLockfile(packages, lockfileDir);
+    if (contents) {
+        writeIfChanged(lockfile, contents);
+    } else if (fs.existsSync(lockfile)) {
+        fs.unlinkSync(lockfile);
+    }
+};
+
+/**
+ * Compile everything in memory, and compare it against what's on disk,
+ * without writing anything. Returns the number of problems found.
+ */
+const check = () => {
+    let problems = 0;
+    const packages = {};
+    const compare = (file, expected, message) => {
+        const actual = readIfExists(file);
+        const relative = path.relative(topLevel, file);
+        if (expected !== actual) {
+            problems += 1;
+            console.log(chalk.red(`${relative} ${message}`));
+            console.log(colorDiff(unifiedDiff(actual, expected, `a/${relative}`, `b/${relative}`)));
+        }
+    };
+    const actions = {};
+    const pins = loadPins();
+    const found = templates();
+    found.forEach(({name, file}) => {
+        const compiled = compile(file);
+        Object.assign(packages, compiled.packages);
+        actions[name] = compiled.actions;
+        compare(path.join(outDir, name), pinned(compiled.output, pins), 'is out of date');
+    });
+    const merged = mergeActions(actions);
+    Object.keys(merged).forEach(setupId => {
+        compare(actionFile(setupId), pinned(merged[setupId], pins), 'is out of date');
+    });
+    compare(
+        lockfile,
+        formatLockfile(packages, lockfileDir) || '',
+        'is out of date (the included packages have changed)',
+    );
+    findOrphans(found.map(({name}) => name)).forEach(name => {
+        problems += 1;
+        console.log(
+            chalk.red(
+                `${path.relative(topLevel, path.join(outDir, name))} was generated from ` +
+                    `a template that no longer exists`,
+            ),
+        );
     });
+    return problems;
+};
+
+/**
+ * Watch the templates, and everything they include, recompiling only the
+ * templates that are affected by a change. Compile errors are reported, but
+ * don't stop the watcher.
+ */
+const watch = () => {
+    // The files that each template was compiled from, by the name of its workflow
+    const dependencies /*: {[name: string]: Array<string>}*/ = {};
+    const packages /*: {[name: string]: IncludedPackages}*/ = {};
+    const actions = {};
+    const watchers = {};
+    const pending = new Set();
+    let timer = null;
+
+    const build = ({name, file: infile} /*: Template*/) => {
+        try {
+            const compiled = compile(infile);
+            const {output, files} = compiled;
+            dependencies[name] = files;
+            packages[name] = compiled.packages;
+            actions[name] = compiled.actions;
+            files.forEach(file => watchDirectory(path.dirname(file)));
+            const status = writeIfChanged(path.join(outDir, name), pinned(output, loadPins()));
+            console.log(chalk.green(`Compiled ${name} (${status})`));
+        } catch (err) {
+            // Keep watching whatever we knew about before the error, along
+            // with the files that were found (like an include that's missing).
+            const known = dependencies[name] || [path.resolve(infile)];
+            dependencies[name] = [...new Set(known.concat(err.files || []))];
+            dependencies[name].forEach(file => watchDirectory(path.dirname(file)));
+            console.error(chalk.red(`Error compiling ${name}: ${err.message}`));
+        }
+    };
+
+    const flush = () => {
+        timer = null;
+        const changed = [...pending];
+        pending.clear();
+        let found;
+        try {
+            watchRoots();
+            found = templates();
+        } catch (err) {
+            console.error(chalk.red(err.message));
+            return;
+        }
+        const names = found.map(({name}) => name);
+        const removed = Object.keys(dependencies).filter(name => !names.includes(name));
+        removed.forEach(name => {
+            delete dependencies[name];
+            delete packages[name];
+            delete actions[name];
+            console.log(chalk.yellow(`Template for ${name} was removed`));
+        });
+        if (removed.length) {
+            pruneOrphans(names);
+        }
+        found
+            .filter(
+                ({name}) =>
+                    !dependencies[name] || changed.some(file => dependencies[name].includes(file)),
+            )
+            .forEach(build);
+        updateShared();
+    };
+
+    // Update the things that are shared between templates.
+    const updateShared = () => {
+        writeLockfile(Object.assign({}, ...Object.keys(packages).map(fname => packages[fname])));
+        try {
+            writeActions(mergeActions(actions), loadPins());
+        } catch (err) {
+            console.error(chalk.red(err.message));
+        }
+    };
+
+    const watchDirectory = dir => {
+        if (watchers[dir] || !fs.existsSync(dir)) {
+            return;
+        }
+        // Watching directories rather than files means we don't lose track of
+        // files that editors save by replacing them.
+        watchers[dir] = fs.watch(dir, (event, filename) => {
+            if (!filename) {
+                return;
+            }
+            pending.add(path.join(dir, filename.toString()));
+            if (!timer) {
+                timer = setTimeout(flush, 100);
+            }
+        });
+        // Stop watching a directory that's been removed.
+        watchers[dir].on('error', () => {
+            watchers[dir].close();
+            delete watchers[dir];
+        });
+    };
+
+    // `fs.watch` isn't recursive everywhere, so we watch every directory under
+    // the template roots, looking for new ones whenever anything changes.
+    const watchTree = dir => {
+        watchDirectory(dir);
+        fs.readdirSync(dir)
+            .map(name => path.join(dir, name))
+            .filter(file => fs.statSync(file).isDirectory())
+            .forEach(watchTree);
+    };
+    const watchRoots = () =>
+        config.templateRoots
+            .map(root => path.resolve(topLevel, root))
+            .filter(dir => fs.existsSync(dir))
+            .forEach(watchTree);
+
+    fs.mkdirSync(outDir, {recursive: true});
+    watchRoots();
+    const found = templates();
+    found.forEach(build);
+    pruneOrphans(found.map(({name}) => name));
+    updateShared();
+    console.log(chalk.dim(`Watching ${config.templateRoots.join(', ')} for changes...`));
+};
+
+/**
+ * Show where a step of a generated workflow came from, and why it's there.
+ * `spec` is `<workflow>:<job>:<step>`, where the step is a number, an id, or
+ * (part of) a name.
+ */
+const explain = (spec /*: string*/) => {
+    const [workflowName, jobId, ...rest] = spec.split(':');
+    const selector = rest.join(':');
+    if (!workflowName || !jobId || !selector) {
+        throw new Error(`Expected <workflow>:<job>:<step>, got "${spec}"`);
+    }
+    const {name, file} = findTemplate(templates(), workflowName, config);
+    const {workflow, provenance} = compile(file);
+    const job = workflow.jobs[jobId];
+    if (!job) {
+        throw new Error(
+            `No job "${jobId}" in ${name}, options are: ${Object.keys(workflow.jobs).join(', ')}`,
+        );
+    }
+    const index = findStep(job.steps, selector);
+    console.log(chalk.bold(`${name}, job ${jobId}`));
+    console.log(explainStep(job.steps[index], index, provenance[jobId][index]));
+};
+
+/**
+ * Print the graph that the steps of each job are ordered by. `spec` is
+ * `<workflow>[:<job>]`, and without it every job of every template is shown.
+ */
+const graph = (spec /*: ?string*/, format /*: string*/) => {
+    const [workflowName, jobId] = spec ? spec.split(':') : [];
+    const found = templates();
+    const chosen = workflowName ? [findTemplate(found, workflowName, config)] : found;
+    const graphs = [];
+    chosen.forEach(({name, file}) => {
+        const compiled = compile(file);
+        if (jobId && !compiled.graphs[jobId]) {
+            throw new Error(
+                `No job "${jobId}" in ${name}, options are: ${Object.keys(compiled.graphs).join(
+                    ', ',
+                )}`,
+            );
+        }
+        (jobId ? [jobId] : Object.keys(compiled.graphs)).forEach(id => {
+            graphs.push({title: `${name}: ${id}`, graph: compiled.graphs[id]});
+        });
+    });
+    process.stdout.write(formatGraphs(graphs, parseFormat(format)));
+};
+
+/**
+ * Lint every template (see `lint.js`), printing the problems found, as JSON
+ * if `format` is `json`. Returns the number of problems.
+ */
+const lint = (format /*: string*/) => {
+    if (format !== 'text' && format !== 'json') {
+        throw new Error(`Unknown lint format "${format}", options are: text, json`);
+    }
+    const trackedFiles = execSync('git ls-files', {cwd: topLevel})
+        .toString('utf8')
+        .split('\n')
+        .filter(Boolean);
+    const problems = [];
+    const defined = [];
+    const used = [];
+    let compiledAll = true;
+    templates().forEach(({file: infile, relativePath}) => {
+        let found = [];
+        try {
+            const {workflow, setupSources} = combineTemplate(infile);
+            found = lintWorkflow(substituteVars(workflow, vars), {
+                template: relativePath,
+                setupSources,
+                trackedFiles,
+            });
+            problems.push(...found);
+            Object.keys(setupSources).forEach(setupId => {
+                defined.push({setupId, where: setupSources[setupId]});
+            });
+            const {graphs} = compile(infile);
+            Object.keys(graphs).forEach(jobId => {
+                graphs[jobId].nodes.forEach(node => node.setupId && used.push(node.setupId));
+            });
+        } catch (err) {
+            compiledAll = false;
+            // Setup cycles have already been reported.
+            if (!found.some(problem => problem.rule === 'setup-cycle')) {
+                problems.push({
+                    rule: 'invalid-template',
+                    where: relativePath,
+                    message: err.message,
+                });
+            }
+        }
+    });
+    // We can only tell that a setup is unused if we know what every template uses.
+    if (compiledAll) {
+        problems.push(...unusedSetups(defined, used));
+    }
+    const unique = uniqueProblems(problems);
+    if (format === 'json') {
+        console.log(JSON.stringify(unique, null, 2));
+    } else if (unique.length) {
+        console.log(chalk.red(formatProblems(unique)));
+    } else {
+        console.log(chalk.green('No problems found'));
+    }
+    return unique.length;
+};
+
+// The value of an option like `--format dot`
+const optionValue = (name /*: string*/) => {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? null : process.argv[index + 1];
+};
+
+const args = process.argv.slice(2);
+// Options that take a value, like `--format dot`
+const valueOptions = ['--var', '--format'];
+// The command and its argument can come before or after the options, so
+// they're whatever is left once the options (and their values) are taken out.
+const [command, target] = args.filter(
+    (arg, i) => !arg.startsWith('-') && !valueOptions.includes(args[i - 1]),
+);
+const commands = ['explain', 'graph', 'lint', 'update-pins'];
+
+if (args.includes('-h') || args.includes('--help')) {
+    console.log(`Generate github actions workflows: usage make-workflows.js [--check | --watch | --pin]
+       make-workflows.js update-pins
+       make-workflows.js explain <workflow>:<job>:<step>
+       make-workflows.js graph [<workflow>[:<job>]] [--format mermaid | dot]
+       make-workflows.js lint [--format text | json]
+
+Options:
+    --var name=value
+                override one of the templates' vars (can be given more than once)
+    --check     don't write anything, but exit non-zero (showing a diff) if any
+                generated workflow, or the lockfile of included packages, is
+                out of date
+    --watch     recompile templates whenever they, or files they include, change
+    --no-prune  list the generated workflows whose template no longer exists,
+                instead of deleting them
+    --pin       pin the actions that the workflows use to commit SHAs, recording
+                them in .github/${pinsLockfileName}. Once that file exists, the
+                workflows are always pinned from it.
+
+Commands:
+    explain     show where a generated step came from: the file and line it was
+                defined on, the setups and steps that pulled it in, and the
+                paths conditions it runs under. The step can be given by
+                number (starting at 1), id, or name.
+    graph       print the graph of steps, setups and paths that each job's steps
+                are ordered by, as Mermaid (the default) or Graphviz DOT. Each
+                arrow goes to something that's needed, and arrows to setups
+                are labeled with the conditions they're needed under. Dashed
+                arrows only affect the order.
+    lint        report probable mistakes in the templates: unused setups, paths
+                patterns that don't match any files in the repo, setups that
+                depend on themselves, steps with both "run" and "uses", and
+                bail_if conditions on outputs that the step doesn't set. Exits
+                non-zero if there are any.
+    update-pins resolve every pinned action's ref again, and regenerate the
+                workflows with the new SHAs.
+
+Where templates are, and where workflows go, can be configured in
+workflow-tools.config.js (or under "workflow-tools" in package.json).
+`);
+    process.exit(1);
+}
+
+if (command && !commands.includes(command)) {
+    console.error(chalk.red(`Unknown command "${command}", see make-workflows.js --help`));
+    process.exit(1);
+}
+
+if (command === 'explain') {
+    try {
+        explain(target || '');
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+    }
+} else if (command === 'lint') {
+    try {
+        if (lint(optionValue('--format') || 'text')) {
+            process.exit(1);
+        }
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+    }
+} else if (command === 'graph') {
+    try {
+        graph(target || null, optionValue('--format') || 'mermaid');
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+    }
+} else if (args.includes('--check')) {
+    let problems = 0;
+    try {
+        problems = check();
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+    }
+    if (problems) {
+        console.log(
+            chalk.red(
+                `${problems} generated file${
+                    problems === 1 ? ' is' : 's are'
+                } out of date. Run make-workflows to update.`,
+            ),
+        );
+        process.exit(1);
+    }
+    console.log(chalk.green('All workflows are up to date'));
+} else if (args.includes('--watch')) {
+    watch();
+} else {
+    const packages = {};
+    const actions = {};
+    const outputs = {};
+    const refresh = command === 'update-pins';
+    let merged;
+    let pins;
+    try {
+        templates().forEach(({name, file}) => {
+            console.log(chalk.dim(`Processing ${file}`));
+            const compiled = compile(file);
+            outputs[name] = compiled.output;
+            Object.assign(packages, compiled.packages);
+            actions[name] = compiled.actions;
+        });
+        merged = mergeActions(actions);
+        pins =
+            refresh || args.includes('--pin')
+                ? updatePins(
+                      Object.keys(outputs)
+                          .map(fname => outputs[fname])
+                          .concat(Object.keys(merged).map(setupId => merged[setupId])),
+                      refresh,
+                  )
+                : loadPins();
+        fs.mkdirSync(outDir, {recursive: true});
+        Object.keys(outputs).forEach(name => {
+            writeGenerated(path.join(outDir, name), pinned(outputs[name], pins));
+        });
+        pruneOrphans(Object.keys(outputs));
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+        // flow doesn't know that we've exited
+        throw err;
+    }
+    writeLockfile(packages);
+    writeActions(merged, pins);
+}
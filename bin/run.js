@@ -16,7 +16,7 @@
  * This file also understands our "extended" workflow format, which is
  * described by `action-preprocessor.js` in more detail. And all `setup`
  * steps are ignored, instead assuming that your machine is already set up
- * for development.
+ * for development, unless you pass `--setup`.
  *
  * It is expected to be used like this:
  * ```sh
@@ -38,11 +38,30 @@ const topLevel = execSync('git rev-parse --show-toplevel')
     .trim();
 const {runUses} = require('../lib/uses');
 const {runProcess} = require('../lib/utils');
+const {pathPatterns, setupList} = require('../lib/workflow-preprocessor');
+const {matchPaths} = require('../lib/glob');
+const {resolveIncludes} = require('../lib/includes');
+const {applyJobTemplates} = require('../lib/job-templates');
+const {substituteVars} = require('../lib/template-vars');
+const {resolveSetupArgs, substituteInputs} = require('../lib/setup-inputs');
+const {loadConfig, findTemplates, findTemplate} = require('../lib/config');
 
 const gitChangedFiles = require('actions-utils/git-changed-files');
 const getBaseRef = require('actions-utils/get-base-ref');
 
+const config = (() => {
+    try {
+        return loadConfig(topLevel);
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+        // flow doesn't know that we've exited
+        throw err;
+    }
+})();
+
 let _verbose = false;
+let _runSetups = false;
 
 const debug = (...args) => {
     if (_verbose) {
@@ -62,62 +81,43 @@ function escapeRegExp(string /*: string*/) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // $& means the whole matched string
 }
 
-const matchPath = (path /*: string*/, file) => {
-    const rxString =
-        '^' +
-        escapeRegExp(path).replace(/(\\\*\\\*\/\\\*|(:?\\\*)+)/g, matched => {
-            if (matched === '\\*\\*/\\*' || matched === '\\*\\*') {
-                return '.*';
-            } else {
-                return '[^\\/]*';
-            }
-        }) +
-        '$';
-    if (file.match(new RegExp(rxString))) {
-        return true;
-    } else {
-        return false;
-    }
-};
-
-const matchPaths = (paths, filesChanged) => {
-    for (const file of filesChanged) {
-        for (const path of paths) {
-            // TODO maybe support negative paths?
-            if (matchPath(path, file)) {
-                return true;
-            }
-        }
-    }
-    return false;
-};
-
 const skipText = chalk.dim;
 const errorText = chalk.red;
 const workflowText = chalk.cyan;
 const jobText = chalk.yellow;
 const stepText = chalk.yellow;
+const setupText = chalk.yellow;
 
 /*::
-import type {Job, Step, Workflow} from '../lib/workflow-preprocessor';
+import type {Job, Setup, SetupRefs, Step, Workflow} from '../lib/workflow-preprocessor';
 */
 
 const loadWorkflow = fileName => {
-    const raw = fs.readFileSync(fileName, 'utf8');
-    /* flow-uncovered-block */
-    const data /*: Workflow*/ = /*:: (*/ yaml.safeLoad(raw) /* :: :any) */;
-    /* end flow-uncovered-block */
-    return data;
+    const load = file => {
+        const raw = fs.readFileSync(file, 'utf8');
+        /* flow-uncovered-block */
+        const data /*: Workflow*/ = /*:: (*/ yaml.safeLoad(raw) /* :: :any) */;
+        /* end flow-uncovered-block */
+        return data;
+    };
+    return applyJobTemplates(
+        substituteVars(
+            resolveIncludes(fileName, load, file => path.relative(topLevel, file)).workflow,
+        ),
+    );
 };
 
 const getJobs = (template, trigger, type, filesChanged) => {
     const data = loadWorkflow(template);
+    const triggerPatterns =
+        data.on && !Array.isArray(data.on) && data.on[trigger]
+            ? pathPatterns(data.on[trigger])
+            : null;
     if (
         !data.on ||
         (Array.isArray(data.on)
             ? !data.on.includes(trigger)
-            : !data.on[trigger] ||
-              (data.on[trigger].paths && !matchPaths(data.on[trigger].paths, filesChanged)))
+            : !data.on[trigger] || (triggerPatterns && !matchPaths(triggerPatterns, filesChanged)))
     ) {
         debug(
             skipText(
@@ -130,9 +130,18 @@ const getJobs = (template, trigger, type, filesChanged) => {
     }
     const jobs = Object.keys(data.jobs)
         .filter(jobId => matches(jobId, type))
+        .filter(jobId => {
+            const patterns = pathPatterns(data.jobs[jobId]);
+            if (patterns && !matchPaths(patterns, filesChanged)) {
+                debug(skipText(`${jobText(`[job]`)} Skipping ${jobId}: no matching paths`));
+                return false;
+            }
+            return true;
+        })
         .map(jobId => ({
             id: jobId,
             ...data.jobs[jobId],
+            setups: data.setup || {},
         }))
         .map(job => ({...job, workflowPath: path.basename(template)}));
     if (jobs.length === 0) {
@@ -153,15 +162,13 @@ const getJobs = (template, trigger, type, filesChanged) => {
     return jobs;
 };
 
-const normalizePaths = (paths /*: string | Array<string> */) =>
-    typeof paths === 'string' ? [paths] : paths;
-
-const runStep = async (step /*: Step*/, filesChanged) => {
+const runStep = async (step /*: Step*/, filesChanged, setups /*: ?SetupRunner*/ = null) => {
     if (step.local === false) {
         return;
     }
-    if (step.paths) {
-        if (!matchPaths(normalizePaths(step.paths), filesChanged)) {
+    const patterns = pathPatterns(step);
+    if (patterns) {
+        if (!matchPaths(patterns, filesChanged)) {
             debug(skipText(`${stepText(`[step]`)} Skipping ${step.name}: no matching paths`));
             return;
         }
@@ -179,6 +186,12 @@ const runStep = async (step /*: Step*/, filesChanged) => {
             return;
         }
     }
+    if (setups) {
+        const result = await setups.run(step.setup);
+        if (result.failed) {
+            return result;
+        }
+    }
     if (!step.run && !step.uses) {
         debug(skipText(`${stepText(`[step]`)} Skipping non-run non-uses step ${step.name}`));
     }
@@ -215,6 +228,86 @@ const runBash = async (run, cwd) => {
     });
 };
 
+/*::
+type SetupRunner = {
+    run: (refs: ?SetupRefs) => Promise<{errors: number, failed: boolean}>,
+    finish: () => Promise<number>,
+};
+*/
+
+/**
+ * With `--setup`, the setups that a job's steps depend on are run too (just
+ * once each, and after their own dependencies), starting with the job's own
+ * setups. Their `post` steps are run by `finish`, most recent setup first,
+ * even if the job failed. Returns the number of issues from all of these.
+ */
+const setupRunner = (
+    setups /*: {[key: string]: Setup}*/,
+    jobSetup /*: ?SetupRefs*/,
+    filesChanged,
+) /*: SetupRunner*/ => {
+    const started = {};
+    const posts = [];
+    let errors = 0;
+
+    const runSetups = async refs => {
+        for (const {id, args} of setupList(refs)) {
+            const definition = setups[id];
+            if (!definition) {
+                throw new Error(`Invalid setupId: ${id}`);
+            }
+            const resolved = resolveSetupArgs(id, definition, args);
+            const key = `${id} ${JSON.stringify(resolved)}`;
+            if (started[key]) {
+                continue;
+            }
+            started[key] = true;
+            const setup /*: Setup*/ = substituteInputs(definition, id, resolved);
+            if (!Array.isArray(setup)) {
+                const result = await runSetups(setup.setup);
+                if (result.failed) {
+                    return result;
+                }
+                // A setup's own paths don't apply to its dependencies.
+                const patterns = pathPatterns(setup);
+                if (patterns && !matchPaths(patterns, filesChanged)) {
+                    debug(skipText(`${setupText(`[setup]`)} Skipping ${id}: no matching paths`));
+                    continue;
+                }
+                posts.unshift(setup.post || []);
+            }
+            console.log(setupText(`[setup]`), id);
+            for (const step of Array.isArray(setup) ? setup : setup.steps || []) {
+                const result = await runStep(step, filesChanged);
+                if (result && result.failed) {
+                    return result;
+                }
+                errors += result ? result.errors : 0;
+            }
+        }
+        return {errors: 0, failed: false};
+    };
+
+    const run = async refs => {
+        const result = await runSetups(jobSetup);
+        return result.failed ? result : runSetups(refs);
+    };
+
+    const finish = async () => {
+        for (const post of posts) {
+            for (const step of post) {
+                const result = await runStep(step, filesChanged);
+                if (result) {
+                    errors += result.failed ? 1 : result.errors;
+                }
+            }
+        }
+        return errors;
+    };
+
+    return {run, finish};
+};
+
 const runJobs = async (jobs, filesChanged) => {
     let errors = 0;
     for (const job of jobs) {
@@ -222,8 +315,9 @@ const runJobs = async (jobs, filesChanged) => {
         // string directly in the `console.log` call?????
         const message = `🚜  Running job ${workflowText(job.workflowPath)}:${jobText(job.id)}`;
         console.log(message);
+        const setups = _runSetups ? setupRunner(job.setups, job.setup, filesChanged) : null;
         for (const step of job.steps) {
-            const result = await runStep(step, filesChanged);
+            const result = await runStep(step, filesChanged, setups);
             if (!result) {
                 continue;
             }
@@ -234,6 +328,9 @@ const runJobs = async (jobs, filesChanged) => {
             }
             errors += result.errors;
         }
+        if (setups) {
+            errors += await setups.finish();
+        }
         if (errors === 0) {
             console.log(`✅  Finished job ${jobText(job.id)}`);
         } else {
@@ -293,21 +390,19 @@ const findStepsInWorkflow = (workflow, needle, exact, verbose) => {
 };
 
 const findNamedSteps = (name, exact, verbose) => {
-    const workflowDir = path.resolve(topLevel, '.github/workflow-templates');
+    const templates = findTemplates(topLevel, config);
     const steps = [];
 
     const parts = name.split(':');
-    if (parts.length === 2 && parts[0].endsWith('.yml')) {
+    if (parts.length === 2 && config.extensions.some(extension => parts[0].endsWith(extension))) {
         console.log('yep', parts[0]);
-        const data = loadWorkflow(path.join(workflowDir, parts[0]));
+        const data = loadWorkflow(findTemplate(templates, parts[0], config).file);
         steps.push(...findStepsInWorkflow(data, parts[1], exact, verbose));
     } else {
-        fs.readdirSync(workflowDir)
-            .filter(name => name.endsWith('.yml') && !name.startsWith('_'))
-            .forEach(fileName => {
-                const data = loadWorkflow(path.join(workflowDir, fileName));
-                steps.push(...findStepsInWorkflow(data, name, exact, verbose));
-            });
+        templates.forEach(({file}) => {
+            const data = loadWorkflow(file);
+            steps.push(...findStepsInWorkflow(data, name, exact, verbose));
+        });
     }
     return steps;
 };
@@ -315,15 +410,15 @@ const findNamedSteps = (name, exact, verbose) => {
 const getJobsWithAlaises = args => {
     const types = [];
     args.forEach(arg => {
-        if (typeAliases[arg]) {
-            types.push(...typeAliases[arg]);
+        if (config.aliases[arg]) {
+            types.push(...config.aliases[arg]);
         } else {
             types.push(arg);
         }
     });
 
     if (!types.length) {
-        types.push(...typeAliases['prepare']);
+        types.push(...config.aliases['prepare']);
     }
 
     return types;
@@ -364,19 +459,11 @@ const runSteps = async (steps, name, all, filesChanged) => {
 };
 
 const getJobsByType = (type, filesChanged) => {
-    const workflowDir = path.resolve(topLevel, '.github/workflow-templates');
     const allJobs = [];
-    fs.readdirSync(workflowDir)
-        .filter(name => name.endsWith('.yml') && !name.startsWith('_'))
-        .forEach(fileName => {
-            const jobs = getJobs(
-                path.resolve(workflowDir, fileName),
-                'pull_request',
-                type,
-                filesChanged,
-            );
-            allJobs.push(...jobs);
-        });
+    findTemplates(topLevel, config).forEach(({file}) => {
+        const jobs = getJobs(file, 'pull_request', type, filesChanged);
+        allJobs.push(...jobs);
+    });
     return allJobs;
 };
 
@@ -449,19 +536,12 @@ process.argv.slice(2).forEach((arg, i) => {
     }
 });
 
-const typeAliases /*:{[key: string]: Array<string>}*/ = {
-    test: ['unit'],
-    'test:long': ['unit:long'],
-    prepare: ['autofix', 'lint', 'unit'],
-    pr: ['autofix', 'lint', 'unit'],
-};
-
 if (args.includes('help') || opts['-h'] || opts['--help']) {
     console.log(`Github Actions Runner: usage run.js -v [job-suffix] [job-suffix]
 
 Aliases:
-${Object.keys(typeAliases)
-        .map(key => `- ${key}: ${typeAliases[key].join(' ')}`)
+${Object.keys(config.aliases)
+        .map(key => `- ${key}: ${config.aliases[key].join(' ')}`)
         .join('\n')}
 
 Running individual steps: step {options} [step-id-or-name-substring]
@@ -469,12 +549,18 @@ Options:
     --all       run all steps that match the substring instead of just the first one
     --exact     match the step id or name exactly
 
+Running jobs: job {options} [job-suffix]
+Options:
+    --setup     run the setups that steps depend on (and their post steps),
+                instead of assuming that your machine is already set up
+
 Note that substrings are restricted to word boundaries, e.g. 'flow' won't match 'workflows'.
 `);
     process.exit(1);
 }
 
 _verbose = opts['-v'] || opts['--verbose'];
+_runSetups = !!opts['--setup'];
 
 // flow-next-uncovered-line
 run(args, opts).catch(err => {
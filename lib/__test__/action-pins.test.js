@@ -0,0 +1,114 @@
+// @flow
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {execFileSync} = require('child_process');
+const {
+    actionsUsed,
+    pinUses,
+    gitResolver,
+    resolvePins,
+    formatPins,
+    parsePins,
+} = require('../action-pins');
+
+const workflow = `name: CI
+jobs:
+  test:
+    steps:
+      - uses: actions/checkout@v3
+        name: checkout
+      - name: lint
+        uses: 'Khan/actions/eslint@main'
+      - uses: ./.github/actions/node
+      - uses: docker://alpine:3
+      - uses: actions/cache@0123456789abcdef0123456789abcdef01234567
+`;
+
+const shaA = 'a'.repeat(40);
+const shaB = 'b'.repeat(40);
+
+// A bare repo with a branch, a lightweight tag and an annotated tag.
+const makeRepo = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'action-pins-test-'));
+    const git = (...args) =>
+        String(
+            execFileSync(
+                'git',
+                ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+                {cwd: path.join(dir, 'work'), stdio: ['ignore', 'pipe', 'pipe']},
+            ),
+        ).trim();
+    fs.mkdirSync(path.join(dir, 'work'));
+    git('init', '-q');
+    git('checkout', '-q', '-b', 'main');
+    git('commit', '-q', '--allow-empty', '-m', 'one');
+    const first = git('rev-parse', 'HEAD');
+    git('tag', 'light');
+    git('tag', '-a', 'v1', '-m', 'v1');
+    git('commit', '-q', '--allow-empty', '-m', 'two');
+    const second = git('rev-parse', 'HEAD');
+    git('clone', '-q', '--bare', '.', path.join(dir, 'checkout.git'));
+    return {dir, first, second};
+};
+
+describe('Action pins', () => {
+    it('finds the actions that need pinning', () => {
+        expect(actionsUsed([workflow])).toEqual(['Khan/actions@main', 'actions/checkout@v3']);
+    });
+
+    it('pins actions, keeping the ref as a comment', () => {
+        const pins = {'actions/checkout@v3': shaA, 'Khan/actions@main': shaB};
+        const pinned = pinUses(workflow, pins);
+        expect(pinned).toContain(`      - uses: actions/checkout@${shaA} # v3\n`);
+        expect(pinned).toContain(`        uses: Khan/actions/eslint@${shaB} # main\n`);
+        expect(pinned).toContain('      - uses: ./.github/actions/node\n');
+        expect(pinned).toContain('      - uses: docker://alpine:3\n');
+        // Pinning is idempotent.
+        expect(pinUses(pinned, pins)).toEqual(pinned);
+    });
+
+    it("complains about actions that aren't pinned", () => {
+        expect(() => pinUses(workflow, {'actions/checkout@v3': shaA})).toThrow(
+            "Khan/actions@main isn't pinned in actions-lock.json, run make-workflows --pin to pin it",
+        );
+    });
+
+    it('resolves branches and tags with git', () => {
+        const {dir, first, second} = makeRepo();
+        const resolve = gitResolver(repo => path.join(dir, `${repo.split('/')[1]}.git`));
+        expect(resolve('actions/checkout', 'main')).toEqual(second);
+        expect(resolve('actions/checkout', 'light')).toEqual(first);
+        // Annotated tags resolve to the commit, not the tag object
+        expect(resolve('actions/checkout', 'v1')).toEqual(first);
+        expect(() => resolve('actions/checkout', 'v2')).toThrow(
+            `Can't find "v2" in actions/checkout`,
+        );
+        expect(() => resolve('actions/missing', 'main')).toThrow(
+            "Can't list the refs of actions/missing: fatal:",
+        );
+    });
+
+    it('only resolves what is new, and drops what is unused', () => {
+        const resolved = [];
+        const resolve = (repo, ref) => {
+            resolved.push(`${repo}@${ref}`);
+            return shaB;
+        };
+        const pins = resolvePins(
+            ['actions/checkout@v3', 'actions/setup-node@v3'],
+            {'actions/checkout@v3': shaA, 'actions/cache@v2': shaA},
+            resolve,
+        );
+        expect(pins).toEqual({'actions/checkout@v3': shaA, 'actions/setup-node@v3': shaB});
+        expect(resolved).toEqual(['actions/setup-node@v3']);
+    });
+
+    it('reads and writes the lockfile', () => {
+        const text = formatPins({'b/b@v1': shaB, 'a/a@v1': shaA});
+        expect(text).toEqual(`{\n    "a/a@v1": "${shaA}",\n    "b/b@v1": "${shaB}"\n}\n`);
+        expect(parsePins(text)).toEqual({'a/a@v1': shaA, 'b/b@v1': shaB});
+        expect(() => parsePins('[]')).toThrow('actions-lock.json should be an object');
+    });
+});
@@ -0,0 +1,89 @@
+// @flow
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {compileTemplate} = require('../workflow-preprocessor');
+const {commentsAbove} = require('../comments');
+
+const files = {
+    '_setup.yml': `
+# Not kept, as included files are merged
+setup:
+    checkout:
+    # The comment for the setup's step
+    - uses: actions/checkout@v3
+`,
+    'ci.yml': `
+# Runs everything we check on pull requests
+name: CI
+include: [_setup.yml]
+
+# Only pull requests, as main is protected
+on: [pull_request]
+jobs:
+    # The one job
+    test:
+        runs-on: ubuntu-latest
+        steps:
+        # Needs the code
+        - name: lint
+          setup: checkout
+          run: yarn lint
+          # A trailing comment, which isn't kept
+
+        - name: test
+          run: yarn test ...with a long list of arguments that would otherwise be folded onto several lines
+`,
+};
+
+const compile = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comments-test-'));
+    Object.keys(files).forEach(fname => fs.writeFileSync(path.join(dir, fname), files[fname]));
+    return compileTemplate(path.join(dir, 'ci.yml'));
+};
+
+describe('Template comments', () => {
+    it('keeps comments above top-level keys, jobs and steps', () => {
+        expect(
+            compile()
+                .output.split('\n')
+                .slice(2)
+                .join('\n'),
+        ).toEqual(
+            `# Runs everything we check on pull requests
+name: CI
+# Only pull requests, as main is protected
+on:
+  - pull_request
+jobs:
+  # The one job
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      # The comment for the setup's step
+      # _setup.yml:6, setup checkout, for step "lint"
+      - uses: actions/checkout@v3
+        name: '▶️ Setup checkout: '
+      # Needs the code
+      # ci.yml:14
+      - name: lint
+        run: yarn lint
+      # ci.yml:19
+      - name: test
+        run: yarn test ...with a long list of arguments that would otherwise be folded onto several lines
+`,
+        );
+    });
+
+    it("doesn't leave comments in the compiled workflow", () => {
+        const {workflow} = compile();
+        expect(workflow.jobs.test.steps.filter(step => step.__comments)).toEqual([]);
+    });
+
+    it('skips blank lines, but not more deeply indented comments', () => {
+        const lines = ['a:', '  # one', '  # two', '', '  b: 1', '    # deeper', '  c: 2'];
+        expect(commentsAbove(lines, {line: 5, column: 3})).toEqual(['# one', '# two']);
+        expect(commentsAbove(lines, {line: 7, column: 3})).toEqual([]);
+    });
+});
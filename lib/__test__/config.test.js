@@ -0,0 +1,118 @@
+// @flow
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    defaultConfig,
+    resolveConfig,
+    loadConfig,
+    findTemplates,
+    findTemplate,
+} = require('../config');
+
+// A repo with the given files, which are all empty.
+const makeRepo = (files /*: Array<string>*/) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    files.forEach(file => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), {recursive: true});
+        fs.writeFileSync(path.join(dir, file), '');
+    });
+    return dir;
+};
+
+const names = (dir, config) =>
+    findTemplates(dir, config).map(({name, relativePath}) => `${relativePath} -> ${name}`);
+
+describe('Config', () => {
+    it('fills in the defaults, adding to the aliases', () => {
+        const config = resolveConfig(
+            {extensions: ['.yml', '.yaml'], aliases: {ci: ['lint', 'unit']}},
+            'test.js',
+        );
+        expect(config.extensions).toEqual(['.yml', '.yaml']);
+        expect(config.templateRoots).toEqual(['.github/workflow-templates']);
+        expect(config.aliases).toEqual({...defaultConfig.aliases, ci: ['lint', 'unit']});
+    });
+
+    it('complains about options that are unknown or wrong', () => {
+        expect(() => resolveConfig({templateRoot: 'ci'}, 'test.js')).toThrow(
+            'Unknown option "templateRoot" in test.js, options are: templateRoots, outputDir,',
+        );
+        expect(() => resolveConfig({extensions: ['yml']}, 'test.js')).toThrow(
+            '"extensions" in test.js should be a non-empty array of extensions, like ".yml"',
+        );
+        expect(() => resolveConfig({header: 'Generated'}, 'test.js')).toThrow(
+            '"header" in test.js should be a yaml comment',
+        );
+        expect(() => resolveConfig([], 'test.js')).toThrow(
+            'test.js should be an object of options',
+        );
+    });
+
+    it('loads the config file, or else package.json', () => {
+        const dir = makeRepo([]);
+        expect(loadConfig(dir)).toBe(defaultConfig);
+        fs.writeFileSync(
+            path.join(dir, 'package.json'),
+            JSON.stringify({'workflow-tools': {outputDir: 'out'}}),
+        );
+        expect(loadConfig(dir).outputDir).toEqual('out');
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({'workflow-tools': 1}));
+        expect(() => loadConfig(dir)).toThrow(
+            'the "workflow-tools" key of package.json should be an object of options',
+        );
+        fs.writeFileSync(
+            path.join(dir, 'workflow-tools.config.js'),
+            "module.exports = {partialPrefix: '.'};",
+        );
+        expect(loadConfig(dir).partialPrefix).toEqual('.');
+    });
+
+    it('finds templates in every root, flattening subdirectories', () => {
+        const dir = makeRepo([
+            '.github/workflow-templates/pr.yml',
+            '.github/workflow-templates/_setup.yml',
+            '.github/workflow-templates/includes.lock.json',
+            'ci/deploy/prod.yaml',
+            'ci/deploy/_shared.yml',
+            'ci/_partials/setup.yml',
+            'ci/nightly.yml',
+        ]);
+        const config = {
+            ...defaultConfig,
+            templateRoots: ['.github/workflow-templates', 'ci'],
+            extensions: ['.yml', '.yaml'],
+        };
+        expect(names(dir, config)).toEqual([
+            'pr.yml -> pr.yml',
+            'deploy/prod.yaml -> deploy-prod.yaml',
+            'nightly.yml -> nightly.yml',
+        ]);
+        expect(names(dir, {...config, flatten: '__'})).toContain(
+            'deploy/prod.yaml -> deploy__prod.yaml',
+        );
+        expect(
+            names(dir, {...config, flatten: relative => relative.replace(/\//g, '.')}),
+        ).toContain('deploy/prod.yaml -> deploy.prod.yaml');
+        expect(findTemplate(findTemplates(dir, config), 'deploy-prod', config).file).toEqual(
+            path.join(dir, 'ci/deploy/prod.yaml'),
+        );
+        expect(() => findTemplate(findTemplates(dir, config), 'deploy', config)).toThrow(
+            'No template found for deploy',
+        );
+    });
+
+    it("won't generate the same workflow from two templates", () => {
+        const dir = makeRepo(['one/ci.yml', 'two/ci.yml', 'three/a/b.yml', 'three/a-b.yml']);
+        expect(() => findTemplates(dir, {...defaultConfig, templateRoots: ['one', 'two']})).toThrow(
+            'one/ci.yml and two/ci.yml would both generate ci.yml',
+        );
+        expect(() => findTemplates(dir, {...defaultConfig, templateRoots: ['three']})).toThrow(
+            'three/a/b.yml and three/a-b.yml would both generate a-b.yml',
+        );
+        expect(() => findTemplates(dir, {...defaultConfig, templateRoots: ['four']})).toThrow(
+            "The template root four doesn't exist",
+        );
+    });
+});
@@ -0,0 +1,41 @@
+// @flow
+
+const {unifiedDiff} = require('../diff');
+
+describe('unifiedDiff', () => {
+    it('is empty for identical text', () => {
+        expect(unifiedDiff('a\nb\n', 'a\nb\n', 'a', 'b')).toEqual('');
+    });
+
+    it('shows changes with context, in separate hunks', () => {
+        const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+        const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nk\nl\n';
+        expect(unifiedDiff(before, after, 'a/file', 'b/file')).toEqual(
+            [
+                '--- a/file',
+                '+++ b/file',
+                '@@ -1,5 +1,5 @@',
+                ' a',
+                '-b',
+                '+B',
+                ' c',
+                ' d',
+                ' e',
+                '@@ -7,5 +7,5 @@',
+                ' g',
+                ' h',
+                ' i',
+                '-j',
+                ' k',
+                '+l',
+                '',
+            ].join('\n'),
+        );
+    });
+
+    it('handles a missing file', () => {
+        expect(unifiedDiff('', 'x\ny\n', 'a', 'b')).toEqual(
+            '--- a\n+++ b\n@@ -0,0 +1,2 @@\n+x\n+y\n',
+        );
+    });
+});
@@ -0,0 +1,146 @@
+// @flow
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {execFileSync} = require('child_process');
+const {globToRegExpSource, matchPaths, shellMatchPaths} = require('../glob');
+const {changesScript} = require('../workflow-preprocessor');
+
+/**
+ * Every fixture is run through both the javascript matcher (used by the local
+ * runner) and the generated shell matcher (used by the compiled workflow),
+ * and both have to agree with the expectations.
+ */
+const fixtures = [
+    {
+        patterns: ['*.js'],
+        matches: ['a.js', '.eslintrc.js'],
+        nonMatches: ['a.jsx', 'src/a.js', 'ajs'],
+    },
+    {
+        patterns: ['**/*.js'],
+        matches: ['a.js', 'src/a.js', 'src/deep/a.js'],
+        nonMatches: ['a.jsx', 'src/a.json'],
+    },
+    {
+        patterns: ['src/**'],
+        matches: ['src/a.js', 'src/deep/a.js', 'src/.hidden'],
+        nonMatches: ['src', 'lib/src/a.js', 'srcs/a.js'],
+    },
+    {
+        patterns: ['src/**/test/*.js'],
+        matches: ['src/test/a.js', 'src/a/b/test/c.js'],
+        nonMatches: ['src/test/a/b.js', 'test/a.js'],
+    },
+    {
+        patterns: ['src**'],
+        matches: ['src', 'src/a/b.js', 'srcs.txt'],
+        nonMatches: ['lib/src'],
+    },
+    {
+        patterns: ['file?.txt'],
+        matches: ['file1.txt', 'fileA.txt'],
+        nonMatches: ['file.txt', 'file10.txt', 'file/.txt'],
+    },
+    {
+        patterns: ['*.{js,jsx}'],
+        matches: ['a.js', 'a.jsx'],
+        nonMatches: ['a.ts', 'a.{js,jsx}'],
+    },
+    {
+        patterns: ['{src,lib/{a,b}}/*.js'],
+        matches: ['src/x.js', 'lib/a/x.js', 'lib/b/x.js'],
+        nonMatches: ['lib/x.js', 'lib/c/x.js'],
+    },
+    {
+        patterns: ['{a}.js', 'b{.js'],
+        matches: ['{a}.js', 'b{.js'],
+        nonMatches: ['a.js', 'b.js'],
+    },
+    {
+        patterns: ['file[0-9].txt'],
+        matches: ['file0.txt', 'file9.txt'],
+        nonMatches: ['fileA.txt', 'file10.txt'],
+    },
+    {
+        patterns: ['[!._]*'],
+        matches: ['a.js', 'Readme.md'],
+        nonMatches: ['.eslintrc', '_setup.yml', 'src/a.js'],
+    },
+    {
+        patterns: ['[-^]x', 'y[a-c-]'],
+        matches: ['-x', '^x', 'ya', 'y-'],
+        nonMatches: ['ax', 'yd'],
+    },
+    {
+        patterns: ['a+b (1).txt', 'c|d', '$HOME', "it's.md", 'a\\*b'],
+        matches: ['a+b (1).txt', 'c|d', '$HOME', "it's.md", 'a*b'],
+        nonMatches: ['aab (1).txt', 'c', 'd', 'HOME', 'a-b'],
+    },
+    {
+        patterns: ['**/*.js', '!vendor/**', 'vendor/ours/**'],
+        matches: ['a.js', 'src/a.js', 'vendor/ours/a.js'],
+        nonMatches: ['vendor/theirs/a.js', 'a.css'],
+    },
+    {
+        patterns: ['**', '!docs/**', '!*.md'],
+        matches: ['src/a.js', 'src/Readme.md'],
+        nonMatches: ['docs/a.js', 'Readme.md'],
+    },
+];
+
+const shellMatches = (patterns, files) => {
+    const output = execFileSync(
+        'bash',
+        ['-eo', 'pipefail', '-c', shellMatchPaths(patterns) + `\nprintf '%s\\n' "$MATCHED"`],
+        // flow-next-uncovered-line
+        {env: {...process.env, CHANGED: files.join('\n')}, encoding: 'utf8'},
+    );
+    return String(output)
+        .split('\n')
+        .filter(Boolean);
+};
+
+describe('Glob conformance', () => {
+    fixtures.forEach(({patterns, matches, nonMatches}) => {
+        describe(patterns.join(', '), () => {
+            it('javascript matcher', () => {
+                matches.forEach(file =>
+                    expect([file, matchPaths(patterns, [file])]).toEqual([file, true]),
+                );
+                nonMatches.forEach(file =>
+                    expect([file, matchPaths(patterns, [file])]).toEqual([file, false]),
+                );
+            });
+
+            it('shell matcher', () => {
+                expect(shellMatches(patterns, [...matches, ...nonMatches]).sort()).toEqual(
+                    matches.slice().sort(),
+                );
+            });
+        });
+    });
+
+    it('compiled changes script', () => {
+        const run = changesScript([
+            {id: 'js', paths: ['**/*.js', '!vendor/**']},
+            {id: 'docs', paths: ['docs/**']},
+        ]);
+        const output = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'glob-test-')), 'output');
+        const runWith = files => {
+            fs.writeFileSync(output, '');
+            execFileSync('bash', ['-eo', 'pipefail', '-c', `git() { echo "$FILES"; }\n${run}`], {
+                // flow-next-uncovered-line
+                env: {...process.env, FILES: files.join('\n'), GITHUB_OUTPUT: output},
+            });
+            return fs.readFileSync(output, 'utf8');
+        };
+        expect(runWith(['vendor/a.js', 'src/a.js'])).toEqual('js=true\ndocs=false\n');
+        expect(runWith(['vendor/a.js', 'docs/a.md'])).toEqual('js=false\ndocs=true\n');
+    });
+
+    it('rejects unsupported classes', () => {
+        expect(() => globToRegExpSource('a[\\]].js')).toThrow('is not supported in [...]');
+    });
+});
@@ -0,0 +1,81 @@
+// @flow
+
+const {compileSteps} = require('../workflow-preprocessor');
+const {formatGraphs, parseFormat} = require('../graph');
+const {load} = require('./load-workflow');
+
+const workflow = load(`
+setup:
+    checkout: [{uses: actions/checkout@v3}]
+    node:
+        setup: checkout
+        steps: [{run: echo node}]
+jobs:
+    test:
+        runs-on: ubuntu-latest
+        steps:
+        - name: lint
+          setup: node
+          paths: src/**
+          run: yarn lint
+        - name: test
+          run: yarn test
+`);
+
+const {graph} = compileSteps(workflow.jobs.test, workflow.setup || {});
+
+describe('Graph', () => {
+    it('keeps the graph that the steps were ordered by', () => {
+        expect(graph.nodes.map(node => `${node.type}: ${node.label}`)).toEqual([
+            'paths: paths src/**',
+            'step: step "lint"',
+            'setup: setup node',
+            'setup: setup checkout',
+            'step: step "test"',
+        ]);
+        expect(graph.edges).toEqual([
+            {from: 'paths-src/**', to: 'setup-checkout', kind: 'order', label: null},
+            {from: 'step-0', to: 'paths-src/**', kind: 'order', label: null},
+            {from: 'step-0', to: 'setup-node', kind: 'setup', label: 'paths: src/**'},
+            {from: 'setup-node', to: 'paths-src/**', kind: 'order', label: null},
+            {from: 'setup-node', to: 'setup-checkout', kind: 'setup', label: 'paths: src/**'},
+            {from: 'step-1', to: 'step-0', kind: 'order', label: null},
+        ]);
+    });
+
+    it('writes mermaid', () => {
+        expect(formatGraphs([{title: 'ci.yml: test', graph}], 'mermaid')).toEqual(
+            `flowchart TD
+    subgraph g0 ["ci.yml: test"]
+        g0n0["paths src/**"]:::paths
+        g0n1["step #quot;lint#quot;"]:::step
+        g0n2["setup node"]:::setup
+        g0n3["setup checkout"]:::setup
+        g0n4["step #quot;test#quot;"]:::step
+        g0n0 -.-> g0n3
+        g0n1 -.-> g0n0
+        g0n1 -->|"paths: src/**"| g0n2
+        g0n2 -.-> g0n0
+        g0n2 -->|"paths: src/**"| g0n3
+        g0n4 -.-> g0n1
+    end
+    classDef step fill:#dbeafe,stroke:#3b82f6
+    classDef setup fill:#dcfce7,stroke:#22c55e
+    classDef paths fill:#fef3c7,stroke:#f59e0b
+`,
+        );
+    });
+
+    it('writes DOT', () => {
+        const dot = formatGraphs([{title: 'ci.yml: test', graph}], 'dot');
+        expect(dot).toContain('g0n1 [label="step \\"lint\\"", fillcolor="#dbeafe"');
+        expect(dot).toContain('g0n1 -> g0n2 [label="paths: src/**"];');
+        expect(dot).toContain('g0n4 -> g0n1 [style=dashed];');
+    });
+
+    it('only knows mermaid and DOT', () => {
+        expect(() => parseFormat('svg')).toThrow(
+            'Unknown graph format "svg", options are: mermaid, dot',
+        );
+    });
+});
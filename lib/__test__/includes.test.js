@@ -0,0 +1,210 @@
+// @flow
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {resolveIncludes, formatLockfile} = require('../includes');
+const {loadTemplate} = require('../validate');
+
+const setupFiles = (files /*: {[name: string]: string}*/) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'includes-test-'));
+    Object.keys(files).forEach(fname => {
+        fs.mkdirSync(path.dirname(path.join(dir, fname)), {recursive: true});
+        fs.writeFileSync(path.join(dir, fname), files[fname]);
+    });
+    return dir;
+};
+
+const resolveIn = (dir /*: string*/) =>
+    resolveIncludes(
+        path.join(dir, 'main.yml'),
+        file => loadTemplate(fs.readFileSync(file, 'utf8'), file),
+        file => path.relative(dir, file),
+    );
+
+const resolve = (files /*: {[name: string]: string}*/) => resolveIn(setupFiles(files));
+
+const job = (name /*: string*/) => `
+    ${name}:
+        runs-on: ubuntu-latest
+        steps: [{run: echo ${name}}]
+`;
+
+describe('Includes', () => {
+    it('resolves nested includes relative to each file', () => {
+        const {workflow, files} = resolve({
+            'main.yml': `
+name: Main
+include: [shared/ci.yml]
+env: {NODE_ENV: test}
+jobs: ${job('main')}
+`,
+            'shared/ci.yml': `
+include: [_setup.yml, ../other.yml]
+env: {NODE_ENV: production, CI: 'true'}
+defaults: {run: {shell: bash}}
+jobs: ${job('shared')}
+`,
+            'shared/_setup.yml': `
+setup:
+    checkout: [{uses: actions/checkout@v3}]
+`,
+            'other.yml': `
+include: [shared/_setup.yml]
+defaults: {run: {working-directory: app}}
+`,
+        });
+        expect(files.map(file => path.basename(file))).toEqual([
+            'main.yml',
+            'ci.yml',
+            '_setup.yml',
+            'other.yml',
+        ]);
+        expect(workflow).toEqual({
+            name: 'Main',
+            env: {NODE_ENV: 'test', CI: 'true'},
+            defaults: {run: {shell: 'bash', 'working-directory': 'app'}},
+            setup: {checkout: [{uses: 'actions/checkout@v3'}]},
+            jobs: {
+                shared: {'runs-on': 'ubuntu-latest', steps: [{run: 'echo shared'}]},
+                main: {'runs-on': 'ubuntu-latest', steps: [{run: 'echo main'}]},
+            },
+        });
+    });
+
+    it('reports conflicting setups', () => {
+        expect(() =>
+            resolve({
+                'main.yml': `
+include: [a.yml]
+setup: {node: [{run: echo main}]}
+jobs: ${job('main')}
+`,
+                'a.yml': `setup: {node: [{run: echo a}]}`,
+            }),
+        ).toThrow('Setup "node" is defined in both a.yml and main.yml');
+    });
+
+    it('reports conflicting jobs', () => {
+        expect(() =>
+            resolve({
+                'main.yml': `
+include: [a.yml, b.yml]
+`,
+                'a.yml': `jobs: ${job('lint')}`,
+                'b.yml': `jobs: ${job('lint')}`,
+            }),
+        ).toThrow('Job "lint" is defined in both a.yml and b.yml');
+    });
+
+    it('reports env conflicts between unrelated files', () => {
+        expect(() =>
+            resolve({
+                'main.yml': `
+include: [a.yml, b.yml]
+jobs: ${job('main')}
+`,
+                'a.yml': `env: {TZ: UTC}`,
+                'b.yml': `env: {TZ: EST}`,
+            }),
+        ).toThrow('"env.TZ" is set to different values in a.yml and b.yml');
+    });
+
+    it('reports include cycles', () => {
+        expect(() =>
+            resolve({
+                'main.yml': `
+include: [a.yml]
+jobs: ${job('main')}
+`,
+                'a.yml': `include: [b.yml]`,
+                'b.yml': `include: [a.yml]`,
+            }),
+        ).toThrow('Include cycle: a.yml -> b.yml -> a.yml');
+    });
+
+    it('resolves and locks package includes', () => {
+        const base = `env: {CI: 'true'}`;
+        const dir = setupFiles({
+            'main.yml': `
+include: ['pkg:@khan/setups/node.yml']
+jobs: ${job('main')}
+`,
+            'node_modules/@khan/setups/package.json': `{"name": "@khan/setups", "version": "1.2.0"}`,
+            'node_modules/@khan/setups/node.yml': `
+include: [lib/_base.yml]
+setup: {node: [{uses: actions/setup-node@v3}]}
+`,
+            'node_modules/@khan/setups/lib/_base.yml': base,
+        });
+        const {workflow, packages} = resolveIn(dir);
+        expect(workflow.env).toEqual({CI: 'true'});
+        expect(Object.keys(packages)).toEqual([
+            'pkg:@khan/setups/node.yml',
+            'pkg:@khan/setups/lib/_base.yml',
+        ]);
+        expect(JSON.parse(formatLockfile(packages, dir) || '')).toEqual({
+            'pkg:@khan/setups/lib/_base.yml': {
+                resolved: 'node_modules/@khan/setups/lib/_base.yml',
+                version: '1.2.0',
+                sha256: crypto
+                    .createHash('sha256')
+                    .update(base)
+                    .digest('hex'),
+            },
+            'pkg:@khan/setups/node.yml': expect.objectContaining({
+                resolved: 'node_modules/@khan/setups/node.yml',
+            }),
+        });
+    });
+
+    it('reports missing files, along with the files that were found', () => {
+        const dir = setupFiles({
+            'main.yml': `
+include: [ci/_setup.yml]
+jobs: ${job('main')}
+`,
+            'ci/_setup.yml': `
+include: [_node.yml]
+`,
+        });
+        let error = null;
+        try {
+            resolveIn(dir);
+        } catch (err) {
+            error = err;
+        }
+        expect(error && error.message).toEqual(
+            'Included file _node.yml not found (from ci/_setup.yml)',
+        );
+        expect(error && error.files).toEqual([
+            path.join(dir, 'main.yml'),
+            path.join(dir, 'ci/_setup.yml'),
+            path.join(dir, 'ci/_node.yml'),
+        ]);
+    });
+
+    it('reports missing packages', () => {
+        expect(() =>
+            resolve({
+                'main.yml': `
+include: ['pkg:@khan/nothing/node.yml']
+jobs: ${job('main')}
+`,
+            }),
+        ).toThrow('Included package pkg:@khan/nothing/node.yml not found (from main.yml)');
+    });
+
+    it('only allows included files to contribute shareable things', () => {
+        expect(() =>
+            resolve({
+                'main.yml': `
+include: [a.yml]
+jobs: ${job('main')}
+`,
+                'a.yml': `on: [push]`,
+            }),
+        ).toThrow(`"on" can't be used in an included file (a.yml)`);
+    });
+});
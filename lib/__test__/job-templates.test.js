@@ -0,0 +1,126 @@
+// @flow
+
+const {applyJobTemplates} = require('../job-templates');
+const {compileWorkflow} = require('../workflow-preprocessor');
+const {load} = require('./load-workflow');
+
+describe('Job templates', () => {
+    it('merges settings, combines setups and prepends steps', () => {
+        const {jobs} = applyJobTemplates(
+            load(`
+job_templates:
+    base:
+        runs-on: ubuntu-latest
+        timeout-minutes: 10
+        env: {CI: 'true', NODE_ENV: test}
+        setup: [checkout, {node: {version: 18}}]
+        steps:
+        - run: echo preamble
+
+jobs:
+    lint:
+        extends: base
+        timeout-minutes: 5
+        env: {NODE_ENV: lint}
+        setup: [yarn, checkout]
+        steps:
+        - run: yarn lint
+`),
+        );
+        expect(jobs).toEqual({
+            lint: {
+                'runs-on': 'ubuntu-latest',
+                'timeout-minutes': 5,
+                env: {CI: 'true', NODE_ENV: 'lint'},
+                setup: ['checkout', {node: {version: 18}}, 'yarn'],
+                steps: [{run: 'echo preamble'}, {run: 'yarn lint'}],
+            },
+        });
+    });
+
+    it('appends steps, and lets templates extend each other', () => {
+        const {jobs} = applyJobTemplates(
+            load(`
+job_templates:
+    base:
+        runs-on: ubuntu-latest
+        steps:
+        - run: echo base
+    reporting:
+        extends: base
+        steps_strategy: append
+        steps:
+        - run: echo report
+
+jobs:
+    test:
+        extends: reporting
+        steps:
+        - run: yarn test
+`),
+        );
+        expect(jobs.test.steps).toEqual([
+            {run: 'yarn test'},
+            {run: 'echo base'},
+            {run: 'echo report'},
+        ]);
+        expect(jobs.test.steps_strategy).toBeUndefined();
+    });
+
+    it('compiles jobs that extend templates from included files', () => {
+        const files = {
+            '_jobs.yml': `
+setup:
+    checkout: [{run: echo checkout}]
+job_templates:
+    base:
+        runs-on: ubuntu-latest
+        setup: checkout
+`,
+        };
+        const workflow = compileWorkflow(
+            load(`
+include: [_jobs.yml]
+jobs:
+    lint:
+        extends: base
+        steps: [{name: lint, run: yarn lint}]
+`),
+            {resolveInclude: spec => ({name: spec, workflow: load(files[spec])})},
+        );
+        expect(workflow.job_templates).toBeUndefined();
+        expect(workflow.jobs.lint).toEqual({
+            'runs-on': 'ubuntu-latest',
+            steps: [
+                {name: '▶️ Setup checkout: ', run: 'echo checkout'},
+                {name: 'lint', run: 'yarn lint'},
+            ],
+        });
+    });
+
+    it('reports unknown templates', () => {
+        expect(() => applyJobTemplates(load(`jobs: {lint: {extends: bsae, steps: []}}`))).toThrow(
+            `Job "lint" extends "bsae", which isn't one of the job_templates`,
+        );
+    });
+
+    it('reports cycles', () => {
+        expect(() =>
+            applyJobTemplates(
+                load(`
+job_templates:
+    a: {extends: b}
+    b: {extends: a}
+jobs:
+    lint: {extends: a, steps: []}
+`),
+            ),
+        ).toThrow('Job template cycle: a -> b -> a');
+    });
+
+    it('only allows steps_strategy in templates', () => {
+        expect(() =>
+            applyJobTemplates(load(`jobs: {lint: {steps_strategy: append, steps: []}}`)),
+        ).toThrow(`"steps_strategy" can only be used in job templates, not in job "lint"`);
+    });
+});
@@ -0,0 +1,107 @@
+// @flow
+
+const {lintWorkflow, unusedSetups, uniqueProblems} = require('../lint');
+const {load} = require('./load-workflow');
+
+const lint = (raw /*: string*/, trackedFiles = ['src/index.js', 'README.md']) =>
+    lintWorkflow(load(raw), {
+        template: 'ci.yml',
+        setupSources: {a: '_setup.yml:2', b: '_setup.yml:4'},
+        trackedFiles,
+    }).map(({rule, where, message}) => `${where} ${rule}: ${message}`);
+
+describe('Lint', () => {
+    it('finds paths patterns that match nothing', () => {
+        expect(
+            lint(`
+on: {push: {paths: ['src/**', 'old/**']}}
+jobs:
+    test:
+        runs-on: ubuntu-latest
+        paths-ignore: ['!docs/**', '*.md']
+        steps:
+        - name: lint
+          paths: src/**/*.{js,ts}
+          run: yarn lint
+        - name: docs
+          paths: ['**/*.rst']
+          run: yarn docs
+`),
+        ).toEqual([
+            `ci.yml dead-paths: The paths pattern "old/**" of "on: push" doesn't match any files`,
+            `ci.yml dead-paths: The paths pattern "!docs/**" of job "test" doesn't match any files`,
+            `ci.yml dead-paths: The paths pattern "**/*.rst" of step "docs" (in job "test") ` +
+                `doesn't match any files`,
+        ]);
+    });
+
+    it('finds setups that depend on themselves', () => {
+        expect(
+            lint(`
+setup:
+    a: {setup: b, steps: [{run: echo a}]}
+    b: {setup: [a, c], steps: [{run: echo b}]}
+    c: [{run: echo c}]
+jobs: {}
+`),
+        ).toEqual(['_setup.yml:2 setup-cycle: Setup a depends on itself: a -> b -> a']);
+    });
+
+    it('finds steps with both run and uses', () => {
+        expect(
+            lint(`
+setup:
+    a: [{name: checkout, uses: actions/checkout@v3, run: git fetch}]
+jobs: {}
+`),
+        ).toEqual([
+            'ci.yml run-and-uses: step "checkout" (in setup a) has both "run" and "uses", ' +
+                'but can only do one',
+        ]);
+    });
+
+    it("finds bail_if conditions on outputs that aren't set", () => {
+        expect(
+            lint(`
+jobs:
+    test:
+        steps:
+        - name: check
+          run: |
+            echo "changed=true" >> "$GITHUB_OUTPUT"
+            echo "::set-output name=count::3"
+          bail_if: outputs.changed != 'true' || outputs.cnt == '0' || steps.other.outputs.x
+        - name: script
+          run: ./check-things.sh
+          bail_if: outputs.anything
+`),
+        ).toEqual([
+            'ci.yml bail-if-outputs: The bail_if of step "check" (in job "test") uses ' +
+                'outputs.cnt, but the step only sets changed, count',
+        ]);
+    });
+
+    it('finds unused setups, except those from packages', () => {
+        expect(
+            unusedSetups(
+                [
+                    {setupId: 'checkout', where: '_setup.yml:2'},
+                    {setupId: 'old', where: '_setup.yml:5'},
+                    {setupId: 'node', where: 'pkg:@khanacademy/ci-setups/node.yml:1'},
+                ],
+                ['checkout'],
+            ),
+        ).toEqual([
+            {
+                rule: 'unused-setup',
+                where: '_setup.yml:5',
+                message: "Setup old isn't used by any job",
+            },
+        ]);
+    });
+
+    it('only reports each problem once', () => {
+        const problem = {rule: 'unused-setup', where: '_setup.yml:5', message: 'unused'};
+        expect(uniqueProblems([problem, {...problem}])).toEqual([problem]);
+    });
+});
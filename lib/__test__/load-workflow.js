@@ -0,0 +1,26 @@
+// @flow
+// Helpers for the tests that start from a template written out as yaml.
+const yaml = require('js-yaml');
+const {compileJobs} = require('../workflow-preprocessor');
+
+/*::
+import type {Workflow, Actions} from '../workflow-preprocessor'
+*/
+
+const load = (raw /*: string*/) => {
+    /* flow-uncovered-block */
+    const data /*: Workflow */ = /*:: (*/ yaml.safeLoad(raw) /*:: : any)*/;
+    /* end flow-uncovered-block */
+    return data;
+};
+
+/**
+ * Compile the jobs of a template, adding the composite actions of its setups
+ * to `actions` if it's given.
+ */
+const compile = (raw /*: string*/, actions /*: ?Actions*/ = null) => {
+    const data = load(raw);
+    return compileJobs(data.jobs, data.setup || {}, {}, actions);
+};
+
+module.exports = {load, compile};
@@ -0,0 +1,85 @@
+// @flow
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {compileTemplate} = require('../workflow-preprocessor');
+const {findStep, explainStep} = require('../provenance');
+
+const files = {
+    '_setup.yml': `
+setup:
+    checkout:
+    - uses: actions/checkout@v3
+    node:
+        setup: checkout
+        steps:
+        - run: echo node
+        - run: echo version
+`,
+    'ci.yml': `
+name: CI
+include: [_setup.yml]
+jobs:
+    test:
+        runs-on: ubuntu-latest
+        steps:
+        - name: lint
+          setup: node
+          paths: src/**
+          run: yarn lint
+        - name: test
+          setup: node
+          run: yarn test
+`,
+};
+
+const compile = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-test-'));
+    Object.keys(files).forEach(fname => fs.writeFileSync(path.join(dir, fname), files[fname]));
+    return compileTemplate(path.join(dir, 'ci.yml'));
+};
+
+describe('Provenance', () => {
+    it('comments each generated step with where it came from', () => {
+        const comments = compile()
+            .output.split('\n')
+            .filter(line => line.startsWith('      #'));
+        expect(comments).toEqual([
+            '      # _setup.yml:4, setup checkout, for setup node',
+            '      # generated (checks which paths have changed)',
+            '      # generated (marks the setup), setup node, for step "lint", step "test"',
+            '      # _setup.yml:8, setup node, for step "lint", step "test"',
+            '      # _setup.yml:9, setup node, for step "lint", step "test"',
+            '      # generated (marks the setup), setup node, for step "lint", step "test"',
+            '      # ci.yml:8',
+            '      # ci.yml:12',
+        ]);
+    });
+
+    it('explains the chain of dependencies and paths', () => {
+        const {workflow, provenance} = compile();
+        const steps = workflow.jobs.test.steps;
+        const index = findStep(steps, '1');
+        expect(explainStep(steps[index], index, provenance.test[index])).toEqual(
+            [
+                'Step 1: ▶️ Setup checkout: ',
+                '  defined at: _setup.yml:4',
+                '  part of setup: checkout',
+                '  included because of:',
+                '    - setup node',
+                '        - step "lint" (ci.yml:8)',
+                '        - step "test" (ci.yml:12)',
+                '  no paths conditions',
+            ].join('\n'),
+        );
+    });
+
+    it('finds steps by id or name', () => {
+        const steps = [{name: 'Run lint', run: 'lint'}, {id: 'tests', name: 'Run tests'}];
+        expect(findStep(steps, 'tests')).toEqual(1);
+        expect(findStep(steps, 'lint')).toEqual(0);
+        expect(() => findStep(steps, 'Run')).toThrow('"Run" matches 2 steps');
+        expect(() => findStep(steps, '3')).toThrow('There is no step 3');
+    });
+});
@@ -0,0 +1,83 @@
+// @flow
+
+const {compile} = require('./load-workflow');
+
+const compileWithActions = (raw /*: string*/) => {
+    const actions = {};
+    const jobs = compile(raw, actions);
+    return {jobs, actions};
+};
+
+describe('Setup actions', () => {
+    it('compiles multi-step setups into composite actions', () => {
+        const {jobs, actions} = compileWithActions(`
+setup:
+    checkout:
+    - uses: actions/checkout@v3
+    node:
+        inputs:
+            version: {type: number, default: 18, description: Node version}
+        steps:
+        - uses: actions/setup-node@v3
+          with:
+              node-version: \${{ setup.version }}
+        - run: yarn
+    hello:
+    - run: echo hello
+
+jobs:
+    lint:
+        runs-on: ubuntu-latest
+        steps:
+        - name: lint
+          paths: src/**
+          setup: [hello, {node: {version: 16}}]
+          run: yarn lint
+`);
+        expect(jobs.lint.steps.map(step => step.uses || step.run)).toEqual([
+            'actions/checkout@v3',
+            expect.stringContaining('CHANGED='),
+            'echo hello',
+            './.github/actions/node',
+            'yarn lint',
+        ]);
+        expect(jobs.lint.steps[3]).toEqual({
+            name: '▶️ Setup node (version: 16)',
+            uses: './.github/actions/node',
+            with: {version: '16'},
+            if: `steps.changes.outputs.paths_src_ == 'true'`,
+        });
+        expect(actions).toEqual({
+            node: {
+                name: 'Setup node',
+                description: 'The "node" setup, compiled by workflow-preprocessor.js',
+                inputs: {version: {description: 'Node version', required: false, default: '18'}},
+                runs: {
+                    using: 'composite',
+                    steps: [
+                        {
+                            uses: 'actions/setup-node@v3',
+                            with: {'node-version': '${{ inputs.version }}'},
+                        },
+                        {run: 'yarn', shell: 'bash'},
+                    ],
+                },
+            },
+        });
+    });
+
+    it('needs a checkout setup', () => {
+        expect(() =>
+            compileWithActions(`
+setup:
+    yarn:
+    - run: yarn
+    - run: yarn build
+jobs:
+    lint:
+        runs-on: ubuntu-latest
+        steps: [{name: lint, setup: yarn, run: yarn lint}]
+`),
+        ).toThrow('You must have a "checkout" setup if you are using setup-actions');
+    });
+});
@@ -0,0 +1,176 @@
+// @flow
+
+const {expandCache} = require('../setup-cache');
+const {compile} = require('./load-workflow');
+
+const miss = "setup.steps.restore_cache.outputs.cache-hit != 'true'";
+
+describe('Setup caches', () => {
+    it('restores the cache before the steps, and skips the ones that opt in on a hit', () => {
+        expect(
+            expandCache(
+                'yarn',
+                {
+                    inputs: {node: {default: '16'}},
+                    cache: {paths: ['node_modules', '~/.cache/yarn'], key_files: 'yarn.lock'},
+                    steps: [
+                        {name: 'node', uses: 'actions/setup-node@v3'},
+                        {name: 'install', run: 'yarn install', skip_on_cache_hit: true},
+                        {
+                            name: 'check',
+                            if: "env.CHECK == 'true'",
+                            run: 'yarn check',
+                            skip_on_cache_hit: true,
+                        },
+                        {name: 'never', if: false, run: 'yarn nope', skip_on_cache_hit: true},
+                    ],
+                    post: [{name: 'clean', run: 'yarn cache clean'}],
+                },
+                ['node'],
+            ),
+        ).toEqual({
+            inputs: {node: {default: '16'}},
+            setup: ['checkout'],
+            steps: [
+                {
+                    name: 'Restore the yarn cache',
+                    id: 'restore_cache',
+                    uses: 'actions/cache@v3',
+                    with: {
+                        path: 'node_modules\n~/.cache/yarn',
+                        key:
+                            '${{ runner.os }}-setup-yarn-${{ setup.node }}-' +
+                            "${{ hashFiles('yarn.lock') }}",
+                    },
+                },
+                {name: 'node', uses: 'actions/setup-node@v3'},
+                {name: 'install', if: miss, run: 'yarn install'},
+                {name: 'check', if: `(${miss}) && (env.CHECK == 'true')`, run: 'yarn check'},
+                {name: 'never', if: false, run: 'yarn nope'},
+            ],
+            post: [{name: 'clean', run: 'yarn cache clean'}],
+        });
+    });
+
+    it('keeps the setups that it depends on', () => {
+        const cache = {paths: 'vendor', key_files: ['Gemfile.lock', "it's.lock"]};
+        const steps = [{name: 'install', run: 'bundle install', skip_on_cache_hit: true}];
+        expect(expandCache('ruby', {setup: {node: {version: 18}}, cache, steps}, [])).toEqual({
+            setup: ['checkout', {node: {version: 18}}],
+            steps: [
+                {
+                    name: 'Restore the ruby cache',
+                    id: 'restore_cache',
+                    uses: 'actions/cache@v3',
+                    with: {
+                        path: 'vendor',
+                        key:
+                            '${{ runner.os }}-setup-ruby-' +
+                            "${{ hashFiles('Gemfile.lock', 'it''s.lock') }}",
+                    },
+                },
+                {name: 'install', if: miss, run: 'bundle install'},
+            ],
+        });
+        expect(expandCache('ruby', {setup: ['node', 'checkout'], cache, steps}, [])).toMatchObject({
+            setup: ['node', 'checkout'],
+        });
+    });
+
+    it("leaves setups without a cache alone, and won't cache checkout", () => {
+        const setup = {steps: [{name: 'install', run: 'yarn install'}]};
+        expect(expandCache('yarn', setup, [])).toBe(setup);
+        expect(() =>
+            expandCache('checkout', {cache: {paths: '.git', key_files: 'x'}, steps: []}, []),
+        ).toThrow('The "checkout" setup cannot have a cache');
+        expect(() =>
+            expandCache(
+                'yarn',
+                {
+                    cache: {paths: 'x', key_files: 'y'},
+                    steps: [{name: 'restore', id: 'restore_cache', run: 'x'}],
+                },
+                [],
+            ),
+        ).toThrow('Setup yarn has a cache, so none of its steps can have the id "restore_cache"');
+    });
+
+    it('only lets the steps of a setup with a cache skip on a hit', () => {
+        const steps = [{name: 'install', run: 'yarn install', skip_on_cache_hit: false}];
+        expect(expandCache('yarn', {steps}, [])).toEqual({
+            steps: [{name: 'install', run: 'yarn install'}],
+        });
+        expect(() =>
+            expandCache('yarn', {steps: [{...steps[0], skip_on_cache_hit: true}]}, []),
+        ).toThrow('A step of setup yarn has skip_on_cache_hit, but the setup has no cache');
+        expect(() =>
+            expandCache('yarn', {cache: {paths: 'x', key_files: 'y'}, steps: [], post: steps}, []),
+        ).toThrow('Only steps of setup yarn can have skip_on_cache_hit, not post steps');
+        expect(() =>
+            compile(`
+jobs:
+    test:
+        steps:
+        - {name: test, run: yarn test, skip_on_cache_hit: true}
+`),
+        ).toThrow(
+            'Step "test" has skip_on_cache_hit, but only the steps of a setup with a cache can',
+        );
+    });
+
+    it('composes with paths, inputs and step ids when compiled', () => {
+        const jobs = compile(`
+setup:
+    checkout:
+    - {name: checkout, uses: actions/checkout@v3}
+    yarn:
+        inputs:
+            node: {default: '16'}
+        paths: ['**/*.js']
+        cache:
+            paths: node_modules
+            key_files: yarn.lock
+        steps:
+        - {name: node, uses: actions/setup-node@v3, with: {node-version: '\${{ setup.node }}'}}
+        - {name: install, run: yarn install, skip_on_cache_hit: true}
+jobs:
+    test:
+        steps:
+        - name: test
+          setup: {yarn: {node: 18}}
+          run: yarn test
+        - name: test old
+          setup: {yarn: {node: 16}}
+          run: yarn test
+`);
+        const paths = "steps.changes.outputs.paths__js == 'true'";
+        const steps = jobs.test.steps;
+        const restore = steps.find(step => step.name === 'Restore the yarn cache') || {};
+        expect(restore).toEqual({
+            name: 'Restore the yarn cache',
+            id: 'yarn_node_18__restore_cache',
+            uses: 'actions/cache@v3',
+            with: {
+                path: 'node_modules',
+                key: "${{ runner.os }}-setup-yarn-18-${{ hashFiles('yarn.lock') }}",
+            },
+            if: paths,
+        });
+        expect(steps.filter(step => step.name === 'node')).toEqual([
+            {name: 'node', uses: 'actions/setup-node@v3', with: {'node-version': 18}, if: paths},
+            {name: 'node', uses: 'actions/setup-node@v3', with: {'node-version': 16}, if: paths},
+        ]);
+        expect(steps.filter(step => step.name === 'install')).toEqual([
+            {
+                name: 'install',
+                run: 'yarn install',
+                if: `(${paths}) && (steps.yarn_node_18__restore_cache.outputs.cache-hit != 'true')`,
+            },
+            {
+                name: 'install',
+                run: 'yarn install',
+                if: `(${paths}) && (steps.yarn_node_16__restore_cache.outputs.cache-hit != 'true')`,
+            },
+        ]);
+    });
+});
@@ -0,0 +1,166 @@
+// @flow
+
+const {namespaceStepIds} = require('../step-ids');
+const {compile} = require('./load-workflow');
+
+describe('Step ids', () => {
+    it('namespaces the steps that a setup refers to as setup.steps', () => {
+        expect(
+            namespaceStepIds(
+                'node',
+                {
+                    steps: [
+                        {name: 'install', id: 'install', run: 'nvm install'},
+                        {
+                            name: 'report',
+                            id: 'report',
+                            if: "setup.steps.install.outputs.cached != 'true'",
+                            env: {VERSION: '${{ setup.steps.install.outputs.version }}'},
+                            run: 'echo ${{ setup.steps.install.outputs.version }}',
+                        },
+                    ],
+                    post: [
+                        {name: 'cleanup', with: {dir: '${{ setup.steps.install.outputs.dir }}'}},
+                    ],
+                },
+                'node__',
+            ),
+        ).toEqual({
+            steps: [
+                {name: 'install', id: 'node__install', run: 'nvm install'},
+                {
+                    name: 'report',
+                    id: 'report',
+                    if: "steps.node__install.outputs.cached != 'true'",
+                    env: {VERSION: '${{ steps.node__install.outputs.version }}'},
+                    run: 'echo ${{ steps.node__install.outputs.version }}',
+                },
+            ],
+            post: [{name: 'cleanup', with: {dir: '${{ steps.node__install.outputs.dir }}'}}],
+        });
+    });
+
+    it('reports references to steps that the setup does not have', () => {
+        expect(() =>
+            namespaceStepIds(
+                'node',
+                [{name: 'hi', run: 'echo ${{ setup.steps.nope.outputs.x }}'}],
+                'node__',
+            ),
+        ).toThrow('Setup node refers to setup.steps.nope, but none of its steps has that id');
+    });
+
+    it('keeps namespaced ids from clashing', () => {
+        const jobs = compile(`
+setup:
+    node:
+    - {name: install node, id: install, run: nvm install}
+    - {name: use node, run: 'nvm use \${{ setup.steps.install.outputs.version }}'}
+    ruby:
+    - {name: install ruby, id: install, run: rbenv install}
+    - {name: use ruby, run: 'rbenv local \${{ setup.steps.install.outputs.version }}'}
+
+jobs:
+    one:
+        steps:
+        - name: test
+          id: install
+          setup: [node, ruby]
+          run: echo test
+`);
+        expect(jobs.one.steps.map(step => step.id || null)).toEqual([
+            null,
+            'node__install',
+            null,
+            null,
+            null,
+            'ruby__install',
+            null,
+            null,
+            'install',
+        ]);
+        expect(jobs.one.steps[6].run).toEqual(
+            'rbenv local ${{ steps.ruby__install.outputs.version }}',
+        );
+    });
+
+    it('reports duplicate step ids', () => {
+        expect(() =>
+            compile(`
+setup:
+    node:
+    - {name: install node, id: install, run: nvm install}
+    ruby:
+    - {name: install ruby, id: install, run: rbenv install}
+
+jobs:
+    one:
+        steps:
+        - name: test
+          setup: [node, ruby]
+          run: echo test
+`),
+        ).toThrow(
+            'Step id "install" is used by both setup node and setup ruby. Setups can refer to ' +
+                'their steps as setup.steps.<id> to namespace them.',
+        );
+    });
+
+    it('reports clashes with generated ids', () => {
+        expect(() =>
+            compile(`
+jobs:
+    one:
+        steps:
+        - name: maybe stop
+          bail_if: outputs.done
+          run: echo done=true >> $GITHUB_OUTPUT
+        - name: sneaky
+          id: bail_if_1
+          run: echo hi
+`),
+        ).toThrow('Step id "bail_if_1" is used by both step "maybe stop" and step "sneaky"');
+    });
+
+    it('only namespaces every id of a setup that a job uses with different arguments', () => {
+        const jobs = compile(`
+setup:
+    node:
+        inputs: {version: {default: '18'}}
+        steps:
+        - {name: install, id: install, run: 'nvm install \${{ setup.version }}'}
+
+jobs:
+    one:
+        steps:
+        - name: report
+          setup: {node: {version: 16}}
+          run: echo \${{ steps.install.outputs.node-version }}
+    two:
+        steps:
+        - {name: new, setup: {node: {version: 20}}, run: yarn test}
+        - {name: old, setup: {node: {version: 16}}, run: yarn test}
+`);
+        expect(jobs.one.steps.map(step => step.id)).toEqual(['install', undefined]);
+        expect(jobs.two.steps.map(step => step.id).filter(Boolean)).toEqual([
+            'node_version_20__install',
+            'node_version_16__install',
+        ]);
+    });
+
+    it('reserves the "steps" input', () => {
+        expect(() =>
+            compile(`
+setup:
+    node:
+        inputs: {steps: {}}
+        steps: [{name: hi, run: echo hi}]
+
+jobs:
+    one:
+        steps:
+        - {name: test, setup: node, run: echo test}
+`),
+        ).toThrow(`Setup node can't have an input called "steps"`);
+    });
+});
@@ -0,0 +1,104 @@
+// @flow
+
+const {substituteVars, parseVar} = require('../template-vars');
+const {compileWorkflow} = require('../workflow-preprocessor');
+const {load} = require('./load-workflow');
+
+describe('Template vars', () => {
+    it('substitutes vars in any string', () => {
+        expect(
+            substituteVars(
+                load(`
+vars: {node: 18, bot: khan-actions-bot}
+jobs:
+    lint:
+        runs-on: ubuntu-latest
+        if: github.actor != '\${{ tmpl.bot }}'
+        steps:
+        - uses: actions/setup-node@v3
+          with: {node-version: '\${{ tmpl.node }}'}
+        - run: echo "node \${{tmpl.node}}, bot \${{ tmpl.bot }}"
+`),
+            ),
+        ).toEqual({
+            jobs: {
+                lint: {
+                    'runs-on': 'ubuntu-latest',
+                    if: "github.actor != 'khan-actions-bot'",
+                    steps: [
+                        {uses: 'actions/setup-node@v3', with: {'node-version': 18}},
+                        {run: 'echo "node 18, bot khan-actions-bot"'},
+                    ],
+                },
+            },
+        });
+    });
+
+    it('uses vars from included files, and overrides', () => {
+        const files = {
+            '_vars.yml': `vars: {node: 16, cache-prefix: v1}`,
+        };
+        const workflow = compileWorkflow(
+            load(`
+include: [_vars.yml]
+vars: {node: 18}
+jobs:
+    test:
+        runs-on: ubuntu-latest
+        steps:
+        - run: echo \${{ tmpl.node }} \${{ tmpl.cache-prefix }}
+`),
+            {
+                resolveInclude: spec => ({name: spec, workflow: load(files[spec])}),
+                vars: {'cache-prefix': 'v2'},
+            },
+        );
+        expect(workflow.vars).toBeUndefined();
+        expect(workflow.jobs.test.steps).toEqual([{run: 'echo 18 v2'}]);
+    });
+
+    it('gives overrides the type of the var they replace', () => {
+        const template = load(`
+vars: {node: 18, lint: true, bot: khan-actions-bot}
+setup:
+    node:
+        inputs: {version: {type: number, required: true}}
+        steps: [{name: install, run: 'nvm install \${{ setup.version }}'}]
+jobs:
+    test:
+        runs-on: ubuntu-latest
+        if: '\${{ tmpl.lint }}'
+        steps:
+        - setup: {node: {version: '\${{ tmpl.node }}'}}
+          run: echo \${{ tmpl.bot }}
+`);
+        const workflow = compileWorkflow(template, {
+            vars: {node: '20', lint: 'false', bot: '17'},
+        });
+        expect(workflow.jobs.test.if).toBe(false);
+        expect(workflow.jobs.test.steps).toEqual([
+            {name: '▶️ Setup node (version: 20): install', run: 'nvm install 20'},
+            {run: 'echo 17'},
+        ]);
+        expect(() => compileWorkflow(template, {vars: {node: 'lts'}})).toThrow(
+            'The var "node" is a number, so it can\'t be set to "lts"',
+        );
+        expect(() => compileWorkflow(template, {vars: {lint: 'yes'}})).toThrow(
+            'The var "lint" is true or false, so it can\'t be set to "yes"',
+        );
+    });
+
+    it('reports unknown vars', () => {
+        expect(() =>
+            substituteVars(
+                load(`{vars: {node: 18}, jobs: {a: {steps: [{run: '\${{ tmpl.nod }}'}]}}}`),
+            ),
+        ).toThrow('Unknown template variable "nod" (the vars are: node)');
+    });
+
+    it('parses --var options', () => {
+        expect(parseVar('node=18')).toEqual(['node', '18']);
+        expect(parseVar('greeting=a=b')).toEqual(['greeting', 'a=b']);
+        expect(() => parseVar('node')).toThrow('Expected --var name=value, got "node"');
+    });
+});
@@ -0,0 +1,37 @@
+// @flow
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {writeIfChanged, insertBefore} = require('../utils');
+
+describe('writeIfChanged', () => {
+    it('only writes files whose contents have changed', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utils-test-'));
+        const file = path.join(dir, 'ci.yml');
+        expect(writeIfChanged(file, 'one')).toEqual('created');
+        // Backdate it, to see whether it's written again
+        fs.utimesSync(file, 0, 0);
+        expect(writeIfChanged(file, 'one')).toEqual('unchanged');
+        expect(fs.statSync(file).mtimeMs).toEqual(0);
+        expect(writeIfChanged(file, 'two')).toEqual('updated');
+        expect(fs.readFileSync(file, 'utf8')).toEqual('two');
+    });
+});
+
+describe('insertBefore', () => {
+    it('adds new keys before the given one, and updates the rest in place', () => {
+        const job = {'runs-on': 'ubuntu-latest', if: 'a', steps: [], env: {}};
+        expect(Object.entries(insertBefore(job, 'steps', {needs: ['b'], if: 'c'}))).toEqual([
+            ['runs-on', 'ubuntu-latest'],
+            ['if', 'c'],
+            ['needs', ['b']],
+            ['steps', []],
+            ['env', {}],
+        ]);
+        expect(Object.keys(insertBefore({name: 'a'}, 'steps', {needs: ['b']}))).toEqual([
+            'name',
+            'needs',
+        ]);
+    });
+});
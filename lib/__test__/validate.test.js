@@ -0,0 +1,62 @@
+// @flow
+
+const fs = require('fs');
+const path = require('path');
+const {loadTemplate, suggest} = require('../validate');
+
+const templatesDir = path.join(__dirname, '../../.github/workflow-templates');
+
+describe('Template validation', () => {
+    fs.readdirSync(templatesDir).forEach(fname => {
+        it(`accepts ${fname}`, () => {
+            const raw = fs.readFileSync(path.join(templatesDir, fname), 'utf8');
+            expect(() => loadTemplate(raw, fname)).not.toThrow();
+        });
+    });
+
+    it('reports errors with their source position', () => {
+        const raw = `
+name: Typos
+on: [pull_request]
+setup:
+  node:
+    inputs:
+      version: {type: nuber}
+    steps: [{run: echo node}]
+jobs:
+  lint:
+    runs-on: ubuntu-latest
+    setps:
+      - run: echo lint
+  unit:
+    runs-on: ubuntu-latest
+    timeout-minutes: [1]
+    steps:
+      - name: unit
+        path: src/**
+        bail-if: outputs.skip
+        setup: 3
+        run: echo unit
+`;
+        expect(() => loadTemplate(raw, 'typos.yml')).toThrow(
+            [
+                'Invalid workflow template:',
+                'typos.yml:7:23: should be one of "string", "number", "boolean" (at setup.node.inputs.version.type)',
+                'typos.yml:12:5: unknown key "setps", did you mean "steps"? (at jobs.lint)',
+                'typos.yml:16:22: should be a number or string (at jobs.unit.timeout-minutes)',
+                'typos.yml:19:9: unknown key "path", did you mean "paths"? (at jobs.unit.steps.0)',
+                'typos.yml:20:9: unknown key "bail-if", did you mean "bail_if"? (at jobs.unit.steps.0)',
+                'typos.yml:21:16: should be a string, object or array (at jobs.unit.steps.0.setup)',
+            ].join('\n'),
+        );
+    });
+
+    it('reports yaml syntax errors with the filename', () => {
+        expect(() => loadTemplate('jobs: [', 'broken.yml')).toThrow(/^broken.yml: /);
+    });
+
+    it('only suggests similar keys', () => {
+        expect(suggest('runs_on', ['runs-on', 'run'])).toEqual('runs-on');
+        expect(suggest('flarp', ['steps', 'paths'])).toEqual(null);
+    });
+});
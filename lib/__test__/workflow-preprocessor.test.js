@@ -1,7 +1,7 @@
 // @flow
 
-const {compileSteps, compilePaths} = require('../workflow-preprocessor');
-const yaml = require('js-yaml');
+const {compileSteps, compileChanges, compileWorkflow} = require('../workflow-preprocessor');
+const {load, compile} = require('./load-workflow');
 
 const fixtures = [
     {
@@ -26,11 +26,11 @@ jobs:
                         run: 'echo checkout',
                         name: '▶️ Setup checkout: ',
                     },
-                    compilePaths('paths__js', ['*.js']),
+                    compileChanges([{id: 'paths__js', paths: ['*.js']}]),
                     {
                         name: 'hi',
                         run: 'echo hi',
-                        if: `steps.paths__js.outputs.changed == 'true'`,
+                        if: `steps.changes.outputs.paths__js == 'true'`,
                     },
                 ],
             },
@@ -72,27 +72,29 @@ jobs:
                         run: 'echo checkout',
                         name: '▶️ Setup checkout: ',
                     },
-                    compilePaths('paths__js', ['*.js']),
-                    compilePaths('paths__java', ['*.java']),
+                    compileChanges([
+                        {id: 'paths__js', paths: ['*.js']},
+                        {id: 'paths__java', paths: ['*.java']},
+                    ]),
                     {
                         name: '▶️ Setup one: ',
                         run: 'echo one',
-                        if: `steps.paths__js.outputs.changed == 'true' || steps.paths__java.outputs.changed == 'true'`,
+                        if: `steps.changes.outputs.paths__js == 'true' || steps.changes.outputs.paths__java == 'true'`,
                     },
                     {
                         name: '▶️ Setup two: ',
                         run: 'echo two',
-                        if: `steps.paths__js.outputs.changed == 'true' || steps.paths__java.outputs.changed == 'true'`,
+                        if: `steps.changes.outputs.paths__js == 'true' || steps.changes.outputs.paths__java == 'true'`,
                     },
                     {
                         name: 'first',
                         run: 'echo first',
-                        if: `steps.paths__js.outputs.changed == 'true'`,
+                        if: `steps.changes.outputs.paths__js == 'true'`,
                     },
                     {
                         name: 'second',
                         run: 'echo second',
-                        if: `steps.paths__java.outputs.changed == 'true'`,
+                        if: `steps.changes.outputs.paths__java == 'true'`,
                     },
                 ],
             },
@@ -132,36 +134,695 @@ jobs:
                         if: `!(steps.bail_if_1.outputs.triggered != 'true')`,
                     },
                     {
-                        ...compilePaths('paths__js', ['*.js']),
+                        ...compileChanges([{id: 'paths__js', paths: ['*.js']}]),
                         if: `!(steps.bail_if_1.outputs.triggered != 'true')`,
                     },
                     {
                         name: 'hi',
                         run: 'echo hi',
-                        if: `(!(steps.bail_if_1.outputs.triggered != 'true')) && (steps.paths__js.outputs.changed == 'true')`,
+                        if: `(!(steps.bail_if_1.outputs.triggered != 'true')) && (steps.changes.outputs.paths__js == 'true')`,
                     },
                 ],
             },
         },
     },
+    {
+        title: 'Parameterized setups',
+        inputFile: `
+setup:
+    node:
+        inputs:
+            version:
+                type: number
+                default: 18
+            registry:
+                type: string
+        steps:
+        - uses: actions/setup-node@v3
+          with:
+            node-version: \${{ setup.version }}
+            registry-url: \${{ setup.registry }}
+        - run: echo "node \${{ setup.version }}"
+
+jobs:
+    one:
+        steps:
+        - name: default
+          setup: node
+          run: echo default
+        - name: same as default
+          setup: {node: {version: 18}}
+          run: echo same
+        - name: older
+          setup: [{node: {version: 16}}]
+          run: echo older
+`,
+        outputJobs: {
+            one: {
+                steps: [
+                    {
+                        name: '🔽 Start setup [node (registry: , version: 18)]',
+                        run: 'echo "Setting something up"',
+                    },
+                    {
+                        uses: 'actions/setup-node@v3',
+                        with: {'node-version': 18, 'registry-url': ''},
+                    },
+                    {run: 'echo "node 18"'},
+                    {
+                        name: '🔼 Finished setup [node (registry: , version: 18)]',
+                        run: 'echo "Finished setting it up"',
+                    },
+                    {
+                        name: '🔽 Start setup [node (registry: , version: 16)]',
+                        run: 'echo "Setting something up"',
+                    },
+                    {
+                        uses: 'actions/setup-node@v3',
+                        with: {'node-version': 16, 'registry-url': ''},
+                    },
+                    {run: 'echo "node 16"'},
+                    {
+                        name: '🔼 Finished setup [node (registry: , version: 16)]',
+                        run: 'echo "Finished setting it up"',
+                    },
+                    {name: 'default', run: 'echo default'},
+                    {name: 'same as default', run: 'echo same'},
+                    {name: 'older', run: 'echo older'},
+                ],
+            },
+        },
+    },
+    {
+        title: 'Step ids of a setup used with different arguments',
+        inputFile: `
+setup:
+    node:
+        inputs:
+            version: {type: number}
+        steps:
+        - id: install
+          uses: actions/setup-node@v3
+          with:
+            node-version: \${{ setup.version }}
+        - id: report
+          run: echo "\${{ steps.install.outputs.node-version }}"
+        - run: echo "\${{ setup.steps.report.outputs.done }}"
+
+jobs:
+    one:
+        steps:
+        - name: new
+          setup: {node: {version: 18}}
+          run: echo new
+        - name: old
+          setup: {node: {version: 16.5}}
+          run: echo old
+`,
+        outputJobs: {
+            one: {
+                steps: [
+                    {
+                        name: '🔽 Start setup [node (version: 18)]',
+                        run: 'echo "Setting something up"',
+                    },
+                    {
+                        id: 'node_version_18__install',
+                        uses: 'actions/setup-node@v3',
+                        with: {'node-version': 18},
+                    },
+                    {
+                        id: 'node_version_18__report',
+                        run: 'echo "${{ steps.node_version_18__install.outputs.node-version }}"',
+                    },
+                    {run: 'echo "${{ steps.node_version_18__report.outputs.done }}"'},
+                    {
+                        name: '🔼 Finished setup [node (version: 18)]',
+                        run: 'echo "Finished setting it up"',
+                    },
+                    {
+                        name: '🔽 Start setup [node (version: 16.5)]',
+                        run: 'echo "Setting something up"',
+                    },
+                    {
+                        id: 'node_version_16_5__install',
+                        uses: 'actions/setup-node@v3',
+                        with: {'node-version': 16.5},
+                    },
+                    {
+                        id: 'node_version_16_5__report',
+                        run: 'echo "${{ steps.node_version_16_5__install.outputs.node-version }}"',
+                    },
+                    {run: 'echo "${{ steps.node_version_16_5__report.outputs.done }}"'},
+                    {
+                        name: '🔼 Finished setup [node (version: 16.5)]',
+                        run: 'echo "Finished setting it up"',
+                    },
+                    {name: 'new', run: 'echo new'},
+                    {name: 'old', run: 'echo old'},
+                ],
+            },
+        },
+    },
+    {
+        title: 'Boolean if conditions',
+        inputFile: `
+setup:
+    checkout:
+    - run: echo checkout
+
+jobs:
+    one:
+        steps:
+        - name: always
+          setup: checkout
+          paths: '*.js'
+          if: true
+          run: echo always
+        - name: never
+          setup: checkout
+          paths: '*.js'
+          if: false
+          run: echo never
+`,
+        outputJobs: {
+            one: {
+                steps: [
+                    {run: 'echo checkout', name: '▶️ Setup checkout: '},
+                    compileChanges([{id: 'paths__js', paths: ['*.js']}]),
+                    {
+                        name: 'always',
+                        run: 'echo always',
+                        if: `steps.changes.outputs.paths__js == 'true'`,
+                    },
+                    {name: 'never', run: 'echo never', if: false},
+                ],
+            },
+        },
+    },
+    {
+        title: 'Negative patterns and paths-ignore',
+        inputFile: `
+setup:
+    checkout:
+    - run: echo checkout
+    gems:
+        paths: Gemfile.lock
+        steps:
+        - run: bundle install
+
+jobs:
+    one:
+        setup: checkout
+        steps:
+        - name: js
+          paths: ["**/*.js", "!vendor/**"]
+          run: echo js
+        - name: not docs
+          paths-ignore: docs/**
+          setup: gems
+          run: echo not docs
+`,
+        outputJobs: {
+            one: {
+                steps: [
+                    {
+                        run: 'echo checkout',
+                        name: '▶️ Setup checkout: ',
+                    },
+                    compileChanges([
+                        {id: 'paths__js__not_vendor_', paths: ['**/*.js', '!vendor/**']},
+                        {id: 'paths____not_docs_', paths: ['**', '!docs/**']},
+                        {id: 'paths_Gemfile_lock', paths: ['Gemfile.lock']},
+                    ]),
+                    {
+                        name: 'js',
+                        run: 'echo js',
+                        if: `steps.changes.outputs.paths__js__not_vendor_ == 'true'`,
+                    },
+                    {
+                        name: '▶️ Setup gems: ',
+                        run: 'bundle install',
+                        if: `(steps.changes.outputs.paths_Gemfile_lock == 'true') && (steps.changes.outputs.paths____not_docs_ == 'true')`,
+                    },
+                    {
+                        name: 'not docs',
+                        run: 'echo not docs',
+                        if: `steps.changes.outputs.paths____not_docs_ == 'true'`,
+                    },
+                ],
+            },
+        },
+    },
+    {
+        title: 'Job-level paths',
+        inputFile: `
+setup:
+    checkout:
+    - run: echo checkout
+    yarn:
+        setup: checkout
+        steps:
+        - run: yarn
+
+jobs:
+    lint:
+        if: github.actor != 'bot'
+        paths: src/**
+        setup: yarn
+        steps:
+        - name: lint
+          run: yarn lint
+    docs:
+        needs: lint
+        paths-ignore: src/**
+        setup: yarn
+        steps:
+        - name: docs
+          run: yarn docs
+    unit:
+        paths: src/**
+        steps:
+        - name: unit
+          run: yarn test
+`,
+        outputJobs: {
+            changes: {
+                'runs-on': 'ubuntu-latest',
+                outputs: {
+                    paths_src_: '${{ steps.changes.outputs.paths_src_ }}',
+                    paths____not_src_: '${{ steps.changes.outputs.paths____not_src_ }}',
+                },
+                steps: [
+                    {run: 'echo checkout', name: '▶️ Setup checkout: '},
+                    compileChanges([
+                        {id: 'paths_src_', paths: ['src/**']},
+                        {id: 'paths____not_src_', paths: ['**', '!src/**']},
+                    ]),
+                ],
+            },
+            lint: {
+                if: `(needs.changes.outputs.paths_src_ == 'true') && (github.actor != 'bot')`,
+                needs: ['changes'],
+                steps: [
+                    {run: 'echo checkout', name: '▶️ Setup checkout: '},
+                    {run: 'yarn', name: '▶️ Setup yarn: '},
+                    {name: 'lint', run: 'yarn lint'},
+                ],
+            },
+            docs: {
+                if: `needs.changes.outputs.paths____not_src_ == 'true'`,
+                needs: ['changes', 'lint'],
+                steps: [
+                    {run: 'echo checkout', name: '▶️ Setup checkout: '},
+                    {run: 'yarn', name: '▶️ Setup yarn: '},
+                    {name: 'docs', run: 'yarn docs'},
+                ],
+            },
+            unit: {
+                if: `needs.changes.outputs.paths_src_ == 'true'`,
+                needs: ['changes'],
+                steps: [{name: 'unit', run: 'yarn test'}],
+            },
+        },
+    },
+    {
+        title: 'If conditions are propagated to setups',
+        inputFile: `
+setup:
+    checkout:
+    - run: echo checkout
+    deploy-tools:
+    - run: echo deploy tools
+    node:
+    - run: echo node
+    yarn:
+        setup: node
+        steps:
+        - run: yarn
+    cache:
+    - run: echo cache
+
+jobs:
+    one:
+        setup: checkout
+        steps:
+        - name: deploy
+          if: \${{ github.event_name == 'push' }}
+          setup: deploy-tools
+          run: echo deploy
+        - name: lint
+          if: github.event_name == 'push'
+          paths: lib/**
+          setup: yarn
+          run: yarn lint
+        - name: test
+          paths: lib/**
+          setup: yarn
+          run: yarn test
+        - name: build
+          if: github.ref == 'refs/heads/main'
+          setup: yarn
+          run: yarn build
+        - name: after failure
+          if: failure()
+          setup: cache
+          run: echo failed
+        - name: everything
+          setup: node
+          run: echo everything
+`,
+        outputJobs: {
+            one: {
+                steps: [
+                    {
+                        run: 'echo deploy tools',
+                        name: '▶️ Setup deploy-tools: ',
+                        if: "github.event_name == 'push'",
+                    },
+                    {
+                        run: 'echo cache',
+                        name: '▶️ Setup cache: ',
+                    },
+                    {
+                        run: 'echo checkout',
+                        name: '▶️ Setup checkout: ',
+                    },
+                    {
+                        name: 'deploy',
+                        if: "${{ github.event_name == 'push' }}",
+                        run: 'echo deploy',
+                    },
+                    compileChanges([{id: 'paths_lib_', paths: ['lib/**']}]),
+                    {
+                        run: 'echo node',
+                        name: '▶️ Setup node: ',
+                    },
+                    {
+                        run: 'yarn',
+                        name: '▶️ Setup yarn: ',
+                        if: [
+                            "((steps.changes.outputs.paths_lib_ == 'true') && (github.event_name == 'push'))",
+                            "steps.changes.outputs.paths_lib_ == 'true'",
+                            "(github.ref == 'refs/heads/main')",
+                        ].join(' || '),
+                    },
+                    {
+                        name: 'lint',
+                        if:
+                            "(steps.changes.outputs.paths_lib_ == 'true') && (github.event_name == 'push')",
+                        run: 'yarn lint',
+                    },
+                    {
+                        name: 'test',
+                        if: "steps.changes.outputs.paths_lib_ == 'true'",
+                        run: 'yarn test',
+                    },
+                    {
+                        name: 'build',
+                        if: "github.ref == 'refs/heads/main'",
+                        run: 'yarn build',
+                    },
+                    {
+                        name: 'after failure',
+                        if: 'failure()',
+                        run: 'echo failed',
+                    },
+                    {
+                        name: 'everything',
+                        run: 'echo everything',
+                    },
+                ],
+            },
+        },
+    },
+    {
+        title: "Setups' post steps run at the end of the job, in reverse",
+        inputFile: `
+setup:
+    checkout:
+    - run: echo checkout
+    db:
+        steps:
+        - run: echo start db
+        post:
+        - name: stop db
+          run: echo stop db
+    creds:
+        setup: db
+        steps:
+        - run: echo write creds
+        post:
+        - run: echo remove creds
+
+jobs:
+    one:
+        setup: checkout
+        steps:
+        - name: test
+          paths: api/**
+          setup: creds
+          run: echo test
+        - name: report
+          run: echo report
+`,
+        outputJobs: {
+            one: {
+                steps: [
+                    {run: 'echo checkout', name: '▶️ Setup checkout: '},
+                    compileChanges([{id: 'paths_api_', paths: ['api/**']}]),
+                    {
+                        run: 'echo start db',
+                        name: '▶️ Setup db: ',
+                        if: "steps.changes.outputs.paths_api_ == 'true'",
+                    },
+                    {
+                        run: 'echo write creds',
+                        name: '▶️ Setup creds: ',
+                        if: "steps.changes.outputs.paths_api_ == 'true'",
+                    },
+                    {
+                        name: 'test',
+                        if: "steps.changes.outputs.paths_api_ == 'true'",
+                        run: 'echo test',
+                    },
+                    {name: 'report', run: 'echo report'},
+                    {
+                        run: 'echo remove creds',
+                        name: '◀️ Post setup creds: ',
+                        if: "always() && (steps.changes.outputs.paths_api_ == 'true')",
+                    },
+                    {
+                        run: 'echo stop db',
+                        name: '◀️ Post setup db: stop db',
+                        if: "always() && (steps.changes.outputs.paths_api_ == 'true')",
+                    },
+                ],
+            },
+        },
+    },
+    {
+        title: 'Post steps are skipped if the job bailed before their setup',
+        inputFile: `
+setup:
+    db:
+        steps: [{run: echo start db}]
+        post: [{run: echo stop db}]
+    gate:
+        setup: db
+        steps:
+        - name: check
+          id: check
+          bail_if: outputs.skip == 'true'
+          run: echo skip=true >> $GITHUB_OUTPUT
+    creds:
+        setup: gate
+        steps: [{run: echo write creds}]
+        post: [{run: echo remove creds}]
+
+jobs:
+    one:
+        steps:
+        - name: deploy
+          setup: creds
+          run: echo deploy
+`,
+        outputJobs: {
+            one: {
+                steps: [
+                    {run: 'echo start db', name: '▶️ Setup db: '},
+                    {
+                        name: '▶️ Setup gate: check',
+                        id: 'check',
+                        run: 'echo skip=true >> $GITHUB_OUTPUT',
+                    },
+                    {
+                        run: 'echo write creds',
+                        name: '▶️ Setup creds: ',
+                        if: "!(steps.check.outputs.skip == 'true')",
+                    },
+                    {
+                        name: 'deploy',
+                        if: "!(steps.check.outputs.skip == 'true')",
+                        run: 'echo deploy',
+                    },
+                    {
+                        run: 'echo remove creds',
+                        name: '◀️ Post setup creds: ',
+                        if: "always() && !(steps.check.outputs.skip == 'true')",
+                    },
+                    {run: 'echo stop db', name: '◀️ Post setup db: ', if: 'always()'},
+                ],
+            },
+        },
+    },
 ];
 
-/*::
-import type {Workflow} from '../workflow-preprocessor'
-*/
+const errorFixtures = [
+    {
+        title: 'Unknown setup input',
+        setup: {node: {inputs: {version: {type: 'number'}}, steps: [{name: 'hi', run: 'echo hi'}]}},
+        stepSetup: {node: {versoin: 18}},
+        error: 'Unknown input "versoin" for setup node',
+    },
+    {
+        title: 'Missing required setup input',
+        setup: {node: {inputs: {version: {required: true}}, steps: [{name: 'hi', run: 'echo hi'}]}},
+        stepSetup: 'node',
+        error: 'Missing required input "version" for setup node',
+    },
+    {
+        title: 'Mistyped setup input',
+        setup: {node: {inputs: {version: {type: 'number'}}, steps: [{name: 'hi', run: 'echo hi'}]}},
+        stepSetup: {node: {version: 'eighteen'}},
+        error: 'Input "version" for setup node must be a number, got "eighteen"',
+    },
+    {
+        title: 'Setup input reference without inputs',
+        setup: {node: [{name: 'hi', run: 'echo ${{ setup.version }}'}]},
+        stepSetup: 'node',
+        error: 'Unknown input "version" referenced in setup node',
+    },
+    {
+        title: 'Reference to an undeclared setup input',
+        setup: {
+            node: {inputs: {version: {}}, steps: [{name: 'hi', run: 'echo ${{ setup.verison }}'}]},
+        },
+        stepSetup: 'node',
+        error: 'Unknown input "verison" referenced in setup node',
+    },
+    {
+        title: 'Setup that depends on itself',
+        setup: {loop: {setup: 'loop', steps: [{name: 'hi', run: 'echo hi'}]}},
+        stepSetup: 'loop',
+        error: 'Cycle in setup dependencies: setup loop -> setup loop',
+    },
+    {
+        title: 'Setups that depend on each other',
+        setup: {
+            a: {setup: 'b', steps: [{name: 'a', run: 'echo a'}]},
+            b: {setup: 'c', steps: [{name: 'b', run: 'echo b'}]},
+            c: {setup: 'a', steps: [{name: 'c', run: 'echo c'}]},
+        },
+        stepSetup: 'a',
+        error: 'Cycle in setup dependencies: setup a -> setup b -> setup c -> setup a',
+    },
+];
 
 describe('Workflow preprocessor', () => {
     fixtures.forEach(fixture => {
         it(fixture.title, () => {
-            /* flow-uncovered-block */
-            const data /*: Workflow */ = /*:: (*/ yaml.safeLoad(fixture.inputFile) /*:: : any)*/;
-            /* end flow-uncovered-block */
-            for (const jobId of Object.keys(data.jobs)) {
-                compileSteps(data.jobs[jobId], data.setup || {});
-            }
-            // For debugging
-            // console.log(yaml.safeDump(data.jobs))
-            expect(data.jobs).toEqual(fixture.outputJobs);
+            const jobs = compile(fixture.inputFile);
+            expect(jobs).toEqual(fixture.outputJobs);
+        });
+    });
+
+    errorFixtures.forEach(fixture => {
+        it(fixture.title, () => {
+            const job = {
+                'runs-on': 'ubuntu-latest',
+                steps: [{name: 'hi', run: 'echo hi', setup: fixture.stepSetup}],
+            };
+            expect(() => compileSteps(job, fixture.setup)).toThrow(fixture.error);
         });
     });
 });
+
+describe('compileWorkflow', () => {
+    const files = {
+        'ci.yml': `
+name: CI
+include: [_setup.yml]
+jobs:
+    lint:
+        runs-on: ubuntu-latest
+        steps:
+        - name: lint
+          setup: yarn
+          paths: lib/*.js
+          run: yarn lint
+        - name: test
+          setup: yarn
+          paths: lib/**.js
+          run: yarn test
+`,
+        '_setup.yml': `
+setup:
+    checkout: [{run: echo checkout}]
+    yarn:
+        setup: checkout
+        steps: [{run: yarn}]
+`,
+    };
+    const loadFile = (name /*: string*/) => load(files[name]);
+    const resolveInclude = spec => ({name: spec, workflow: loadFile(spec)});
+
+    it('compiles without changing its input', () => {
+        const template = loadFile('ci.yml');
+        const before = JSON.stringify(template);
+        const first = compileWorkflow(template, {resolveInclude, name: 'ci.yml'});
+        expect(JSON.stringify(template)).toEqual(before);
+        expect(compileWorkflow(template, {resolveInclude, name: 'ci.yml'})).toEqual(first);
+        expect(first.jobs.lint.steps.map(step => step.name)).toEqual([
+            '▶️ Setup checkout: ',
+            'Check paths: lib/*.js; lib/**.js',
+            '▶️ Setup yarn: ',
+            'lint',
+            'test',
+        ]);
+    });
+
+    it('derives paths ids from their patterns', () => {
+        const {steps} = compileWorkflow(loadFile('ci.yml'), {resolveInclude}).jobs.lint;
+        // These would both be `paths_lib_js`, so they get a hash to tell them apart.
+        expect(steps[3].if).toMatch(
+            /^steps\.changes\.outputs\.paths_lib_js_[0-9a-f]{8} == 'true'$/,
+        );
+        expect(steps[4].if).toMatch(
+            /^steps\.changes\.outputs\.paths_lib_js_[0-9a-f]{8} == 'true'$/,
+        );
+        expect(steps[3].if).not.toEqual(steps[4].if);
+    });
+
+    it('puts the generated needs and if of a job before its steps', () => {
+        const {jobs} = compileWorkflow(
+            load(`
+setup:
+    checkout: [{run: echo checkout}]
+jobs:
+    test:
+        runs-on: ubuntu-latest
+        paths: src/**
+        steps: [{run: yarn test}]
+        env: {CI: 'true'}
+`),
+        );
+        expect(Object.keys(jobs.test)).toEqual(['runs-on', 'needs', 'if', 'steps', 'env']);
+    });
+
+    it('needs a resolveInclude for templates with includes', () => {
+        expect(() => compileWorkflow(loadFile('ci.yml'))).toThrow(
+            "Can't include _setup.yml, as there's no resolveInclude",
+        );
+    });
+});
@@ -0,0 +1,162 @@
+// @flow
+/**
+ * Pinning the actions that generated workflows use to commit SHAs, as refs
+ * like `main` or `v1` can change under us. `make-workflows --pin` resolves
+ * each `owner/repo@ref` to a SHA, records it in `.github/actions-lock.json`,
+ * and writes `uses: owner/repo@<sha> # ref`. Once that lockfile exists, the
+ * workflows are always pinned from it (without going to the network), and
+ * `make-workflows update-pins` resolves everything again.
+ *
+ * Refs are resolved with `git ls-remote`, from github by default, but the
+ * resolver can be swapped out (e.g. for a local repo in tests).
+ */
+const {execFileSync} = require('child_process');
+
+/*::
+export type Pins = {[action: string]: string};
+export type Resolver = (repo: string, ref: string) => string;
+*/
+
+const pinsLockfileName = 'actions-lock.json';
+
+const shaRx = /^[0-9a-f]{40}$/;
+
+// A line of yaml that uses an action, quoted or not, maybe with a comment.
+const usesRx = /^( *(?:- )?uses: )(['"]?)([^'"\s#]+)\2( +#.*)?$/gm;
+
+/**
+ * The repo and ref of a `uses`, if it's an action in a repo that isn't
+ * already pinned. Local actions (`./`) and docker images are left alone.
+ */
+const parseUses = (uses /*: string*/) /*: ?{repo: string, ref: string}*/ => {
+    const match = uses.match(/^([\w.-]+\/[\w.-]+)(?:\/[^@]*)?@(.+)$/);
+    if (!match || shaRx.test(match[2])) {
+        return null;
+    }
+    return {repo: match[1], ref: match[2]};
+};
+
+const pinKey = ({repo, ref}) => `${repo}@${ref}`;
+
+/**
+ * Every `owner/repo@ref` that the given yaml files use, sorted.
+ */
+const actionsUsed = (texts /*: Array<string>*/) /*: Array<string>*/ => {
+    const used = {};
+    texts.forEach(text => {
+        text.replace(usesRx, (line, prefix, quote, uses) => {
+            const parsed = parseUses(uses);
+            if (parsed) {
+                used[pinKey(parsed)] = true;
+            }
+            return line;
+        });
+    });
+    return Object.keys(used).sort();
+};
+
+/**
+ * Rewrite the `uses` of a yaml file to their pinned SHAs, keeping the ref as
+ * a comment. Every action needs to have been pinned.
+ */
+const pinUses = (text /*: string*/, pins /*: Pins*/) /*: string*/ =>
+    text.replace(usesRx, (line, prefix, quote, uses) => {
+        const parsed = parseUses(uses);
+        if (!parsed) {
+            return line;
+        }
+        const sha = pins[pinKey(parsed)];
+        if (!sha) {
+            throw new Error(
+                `${pinKey(parsed)} isn't pinned in ${pinsLockfileName}, ` +
+                    `run make-workflows --pin to pin it`,
+            );
+        }
+        const action = uses.slice(0, uses.lastIndexOf('@'));
+        return `${prefix}${action}@${sha} # ${parsed.ref}`;
+    });
+
+/**
+ * A resolver that asks a git remote (found by `remoteFor`) for the commit
+ * that a ref points to. Tags are peeled, so annotated tags give the commit
+ * rather than the tag object.
+ */
+const gitResolver = (remoteFor /*: (repo: string) => string*/) /*: Resolver*/ => (repo, ref) => {
+    let listing;
+    try {
+        listing = String(
+            execFileSync('git', ['ls-remote', remoteFor(repo), ref, `${ref}^{}`], {
+                stdio: ['ignore', 'pipe', 'pipe'],
+            }),
+        );
+    } catch (err) {
+        throw new Error(
+            `Can't list the refs of ${repo}: ${String(err.stderr || err.message).trim()}`,
+        );
+    }
+    const refs = {};
+    listing
+        .split('\n')
+        .filter(Boolean)
+        .forEach(line => {
+            const [sha, name] = line.split('\t');
+            refs[name] = sha;
+        });
+    const sha = [`refs/tags/${ref}^{}`, `refs/tags/${ref}`, `refs/heads/${ref}`, ref]
+        .map(name => refs[name])
+        .find(Boolean);
+    if (!sha) {
+        throw new Error(`Can't find "${ref}" in ${repo}`);
+    }
+    return sha;
+};
+
+const githubResolver /*: Resolver*/ = gitResolver(repo => `https://github.com/${repo}.git`);
+
+/**
+ * The pins for the actions that are `used`, resolving any that aren't in
+ * `current`. Pins that are no longer used are dropped.
+ */
+const resolvePins = (
+    used /*: Array<string>*/,
+    current /*: Pins*/,
+    resolve /*: Resolver*/,
+) /*: Pins*/ => {
+    const pins = {};
+    used.forEach(key => {
+        const index = key.lastIndexOf('@');
+        pins[key] = current[key] || resolve(key.slice(0, index), key.slice(index + 1));
+    });
+    return pins;
+};
+
+const formatPins = (pins /*: Pins*/) /*: string*/ => {
+    const sorted = {};
+    Object.keys(pins)
+        .sort()
+        .forEach(key => {
+            sorted[key] = pins[key];
+        });
+    return JSON.stringify(sorted, null, 4) + '\n';
+};
+
+const parsePins = (text /*: string*/) /*: Pins*/ => {
+    /* flow-uncovered-block */
+    const pins = JSON.parse(text);
+    /* end flow-uncovered-block */
+    if (!pins || typeof pins !== 'object' || Array.isArray(pins)) {
+        throw new Error(`${pinsLockfileName} should be an object of "owner/repo@ref": "<sha>"`);
+    }
+    return pins;
+};
+
+module.exports = {
+    pinsLockfileName,
+    actionsUsed,
+    pinUses,
+    gitResolver,
+    githubResolver,
+    resolvePins,
+    formatPins,
+    parsePins,
+};
@@ -0,0 +1,50 @@
+// @flow
+/**
+ * A step with `bail_if` skips every step after it (without failing the job)
+ * once its condition is true, as described in `workflow-preprocessor.js`.
+ */
+
+/*::
+import type {Step} from './workflow-preprocessor';
+
+// The condition that a bail puts on the steps after it, and where it is
+export type Bail = {index: number, cond: string};
+*/
+
+/**
+ * Replace the `bail_if`s of a job's steps with an `if` on every step after
+ * them, giving each bail an `id` if it doesn't have one. The bails are
+ * returned, for the steps that are added afterwards (see `bailsBefore`).
+ */
+const processBailUnless = (steps /*: Array<Step>*/) /*: Array<Bail>*/ => {
+    const bails = [];
+    steps.filter(step => !!step.bail_if).forEach((bail, i) => {
+        if (!bail.id) {
+            bail.id = `bail_if_${i + 1}`;
+        }
+        if (!bail.bail_if) {
+            return;
+        }
+        const cond =
+            '!(' + bail.bail_if.replace(/(?<!\.)outputs\./g, `steps.${bail.id}.outputs.`) + ')';
+        delete bail.bail_if;
+        const index = steps.indexOf(bail);
+        steps.slice(index + 1).forEach(step => {
+            if (step.if !== false) {
+                step.if = typeof step.if === 'string' ? `(${cond}) && (${step.if})` : cond;
+            }
+        });
+        bails.push({index, cond});
+    });
+    return bails;
+};
+
+/**
+ * The conditions of the bails before the step at `index`, for a step that's
+ * added after the bails were processed but should only run if that one did
+ * (like a setup's post steps).
+ */
+const bailsBefore = (bails /*: Array<Bail>*/, index /*: number*/) /*: Array<string>*/ =>
+    bails.filter(bail => bail.index < index).map(bail => bail.cond);
+
+module.exports = {processBailUnless, bailsBefore};
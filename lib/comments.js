@@ -0,0 +1,109 @@
+// @flow
+/**
+ * Keeping the comments in templates, so that generated workflows are as
+ * readable as the templates they came from. A comment belongs to whatever it
+ * comes just before (ignoring blank lines), as long as it isn't indented
+ * more deeply, which would make it a trailing comment of something else.
+ *
+ * The comments are recorded as `__comments` on steps and jobs (and on the
+ * template itself, by top-level key), and written out by
+ * `dumpWithProvenance`.
+ */
+
+/*::
+import type {Step, Workflow} from './workflow-preprocessor';
+import type {Located, Position} from './yaml-positions';
+
+type Locate = $PropertyType<Located, 'locate'>;
+*/
+
+const indentOf = (line /*: string*/) => line.length - line.trimLeft().length;
+
+/**
+ * The comment lines just before `position`, with their indentation removed.
+ */
+const commentsAbove = (lines /*: Array<string>*/, position /*: ?Position*/) /*: Array<string>*/ => {
+    if (!position) {
+        return [];
+    }
+    // Sequence items are located by their content, just after the `- `.
+    // Anything else on the line before it (as in flow style) means that the
+    // comments above belong to something else.
+    const line = lines[position.line - 1] || '';
+    if (!['', '-'].includes(line.slice(0, position.column - 1).trim())) {
+        return [];
+    }
+    const maxIndent = indentOf(line);
+    let i = position.line - 2;
+    while (i >= 0 && !lines[i].trim()) {
+        i -= 1;
+    }
+    const comments = [];
+    while (i >= 0 && /^\s*#/.test(lines[i]) && indentOf(lines[i]) <= maxIndent) {
+        comments.unshift(lines[i].trim());
+        i -= 1;
+    }
+    return comments;
+};
+
+/**
+ * Record the comments of a template (or included file), on its steps and
+ * jobs. Comments on top-level keys are only kept for the template itself
+ * (`topLevel`), as everything else that an included file has is merged.
+ */
+const tagComments = (
+    data /*: Workflow*/,
+    raw /*: string*/,
+    locate /*: Locate*/,
+    topLevel /*: boolean*/,
+) => {
+    const lines = raw.split('\n');
+    const find = (path, key) => {
+        const comments = commentsAbove(lines, locate(path, key));
+        return comments.length ? comments : null;
+    };
+    const tag = (steps /*: ?Array<Step>*/, at) => {
+        (steps || []).forEach((step, i) => {
+            const comments = find(at.concat([i]), false);
+            if (comments) {
+                step.__comments = comments;
+            }
+        });
+    };
+    const jobs = data.jobs || {};
+    Object.keys(jobs).forEach(jobId => {
+        const comments = find(['jobs', jobId], true);
+        if (comments) {
+            jobs[jobId].__comments = comments;
+        }
+        tag(jobs[jobId].steps, ['jobs', jobId, 'steps']);
+    });
+    const templates = data.job_templates || {};
+    Object.keys(templates).forEach(name => {
+        tag(templates[name].steps, ['job_templates', name, 'steps']);
+    });
+    const setups = data.setup || {};
+    Object.keys(setups).forEach(setupId => {
+        const setup = setups[setupId];
+        if (Array.isArray(setup)) {
+            tag(setup, ['setup', setupId]);
+        } else if (setup) {
+            tag(setup.steps, ['setup', setupId, 'steps']);
+            tag(setup.post, ['setup', setupId, 'post']);
+        }
+    });
+    if (topLevel) {
+        const byKey = {};
+        Object.keys(data).forEach(key => {
+            const comments = find([key], true);
+            if (comments) {
+                byKey[key] = comments;
+            }
+        });
+        if (Object.keys(byKey).length) {
+            data.__comments = byKey;
+        }
+    }
+};
+
+module.exports = {commentsAbove, tagComments};
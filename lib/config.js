@@ -0,0 +1,247 @@
+// @flow
+/**
+ * Where `make-workflows` and the local runner find templates, and what they
+ * generate from them. By default, templates are the `.yml` files in
+ * `.github/workflow-templates`, compiled into `.github/workflows`, but a repo
+ * can change that in a `workflow-tools.config.js` at its top level:
+ *
+ * ```js
+ * module.exports = {
+ *     templateRoots: ['.github/workflow-templates', 'services/ci'],
+ *     extensions: ['.yml', '.yaml'],
+ * };
+ * ```
+ *
+ * or under the `"workflow-tools"` key of its `package.json`.
+ *
+ * Templates can be in subdirectories of a root, but github only looks at the
+ * top level of the workflows directory, so a nested template's path is
+ * flattened into a file name: its directories are joined with `flatten`
+ * (`deploy/prod.yml` becomes `deploy-prod.yml`). In the config file,
+ * `flatten` can also be a function, from the template's path (relative to
+ * its root) to the name of the workflow that it generates.
+ */
+const fs = require('fs');
+const path = require('path');
+const {generatedHeader} = require('./workflow-preprocessor');
+
+/*::
+export type Config = {
+    // Directories of templates, relative to the top of the repo
+    templateRoots: Array<string>,
+    // Where the generated workflows go
+    outputDir: string,
+    extensions: Array<string>,
+    // Files (and directories) starting with this are only for including
+    partialPrefix: string,
+    // The comment at the top of generated files, which is also how we tell
+    // that a file was generated.
+    header: string,
+    // Groups of jobs for the local runner, like `pr: [autofix, lint, unit]`
+    aliases: {[alias: string]: Array<string>},
+    flatten: string | ((relativePath: string) => string),
+};
+
+export type Template = {
+    // The name of the generated workflow
+    name: string,
+    file: string,
+    // Relative to its root, with `/`s
+    relativePath: string,
+};
+*/
+
+const configFileName = 'workflow-tools.config.js';
+const packageKey = 'workflow-tools';
+
+const defaultConfig /*: Config*/ = {
+    templateRoots: ['.github/workflow-templates'],
+    outputDir: '.github/workflows',
+    extensions: ['.yml'],
+    partialPrefix: '_',
+    header: generatedHeader,
+    aliases: {
+        test: ['unit'],
+        'test:long': ['unit:long'],
+        prepare: ['autofix', 'lint', 'unit'],
+        pr: ['autofix', 'lint', 'unit'],
+    },
+    flatten: '-',
+};
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const checks /*: {[key: string]: [(value: mixed) => boolean, string]}*/ = {
+    templateRoots: [
+        value => Array.isArray(value) && value.length > 0 && isStringList(value),
+        'a non-empty array of directories',
+    ],
+    outputDir: [value => typeof value === 'string', 'a directory'],
+    extensions: [
+        value =>
+            Array.isArray(value) &&
+            value.length > 0 &&
+            value.every(item => typeof item === 'string' && item.startsWith('.')),
+        'a non-empty array of extensions, like ".yml"',
+    ],
+    partialPrefix: [value => typeof value === 'string' && value !== '', 'a non-empty string'],
+    header: [
+        value => typeof value === 'string' && value.split('\n').every(line => line.startsWith('#')),
+        'a yaml comment (with every line starting with "#")',
+    ],
+    aliases: [
+        value =>
+            !!value &&
+            typeof value === 'object' &&
+            !Array.isArray(value) &&
+            Object.keys(value).every(alias => isStringList(value[alias])),
+        'an object of arrays of job names',
+    ],
+    flatten: [
+        value => (typeof value === 'string' && value !== '') || typeof value === 'function',
+        'a separator, or a function from a path to a file name',
+    ],
+};
+
+/**
+ * Fill in the defaults for the options that aren't given, checking the ones
+ * that are. `source` says where the options came from, for errors. The
+ * given `aliases` are added to the default ones.
+ */
+const resolveConfig = (options /*: mixed*/, source /*: string*/) /*: Config*/ => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`${source} should be an object of options`);
+    }
+    const given = options;
+    Object.keys(given).forEach(key => {
+        if (!checks[key]) {
+            throw new Error(
+                `Unknown option "${key}" in ${source}, options are: ${Object.keys(checks).join(
+                    ', ',
+                )}`,
+            );
+        }
+        const [check, expected] = checks[key];
+        if (!check(given[key])) {
+            throw new Error(`"${key}" in ${source} should be ${expected}`);
+        }
+    });
+    /* flow-uncovered-block */
+    const config /*: Config*/ = /*:: (*/ {...defaultConfig, ...given} /*:: : any)*/;
+    /* end flow-uncovered-block */
+    return {...config, aliases: {...defaultConfig.aliases, ...config.aliases}};
+};
+
+/**
+ * Load the config of the repo at `topLevel`, from `workflow-tools.config.js`
+ * or else `package.json`.
+ */
+const loadConfig = (topLevel /*: string*/) /*: Config*/ => {
+    const configFile = path.join(topLevel, configFileName);
+    if (fs.existsSync(configFile)) {
+        // $FlowFixMe: the config file can export anything
+        return resolveConfig(require(configFile), configFileName); // flow-uncovered-line
+    }
+    const packageFile = path.join(topLevel, 'package.json');
+    if (fs.existsSync(packageFile)) {
+        /* flow-uncovered-block */
+        const options = JSON.parse(fs.readFileSync(packageFile, 'utf8'))[packageKey];
+        /* end flow-uncovered-block */
+        if (options !== undefined) {
+            return resolveConfig(options, `the "${packageKey}" key of package.json`);
+        }
+    }
+    return defaultConfig;
+};
+
+/**
+ * The name of the workflow that a template generates, given its path
+ * relative to its root.
+ */
+const workflowName = (relativePath /*: string*/, config /*: Config*/) /*: string*/ => {
+    const {flatten} = config;
+    const name =
+        typeof flatten === 'function'
+            ? flatten(relativePath)
+            : relativePath.split('/').join(flatten);
+    if (typeof name !== 'string' || !name || name.includes('/')) {
+        throw new Error(
+            `"flatten" should give a file name for ${relativePath}, but gave ${String(name)}`,
+        );
+    }
+    return name;
+};
+
+/**
+ * Every template in the configured roots (leaving out partials), sorted by
+ * root and then by path. Two templates can't generate the same workflow.
+ */
+const findTemplates = (topLevel /*: string*/, config /*: Config*/) /*: Array<Template>*/ => {
+    const templates = [];
+    const byName = {};
+    config.templateRoots.forEach(root => {
+        const rootDir = path.resolve(topLevel, root);
+        if (!fs.existsSync(rootDir)) {
+            throw new Error(`The template root ${root} doesn't exist`);
+        }
+        const visit = (relativeDir /*: string*/) =>
+            fs
+                .readdirSync(path.join(rootDir, relativeDir))
+                .sort()
+                .filter(name => !name.startsWith(config.partialPrefix))
+                .forEach(name => {
+                    const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+                    const file = path.join(rootDir, relativePath);
+                    if (fs.statSync(file).isDirectory()) {
+                        visit(relativePath);
+                    } else if (config.extensions.some(extension => name.endsWith(extension))) {
+                        const template = {
+                            name: workflowName(relativePath, config),
+                            file,
+                            relativePath,
+                        };
+                        const existing = byName[template.name];
+                        if (existing) {
+                            throw new Error(
+                                `${path.relative(topLevel, existing.file)} and ` +
+                                    `${path.relative(topLevel, file)} would both generate ` +
+                                    `${template.name}`,
+                            );
+                        }
+                        byName[template.name] = template;
+                        templates.push(template);
+                    }
+                });
+        visit('');
+    });
+    return templates;
+};
+
+/**
+ * Find a template by the name of its workflow, which can leave out the
+ * extension (or be the path of the generated workflow).
+ */
+const findTemplate = (
+    templates /*: Array<Template>*/,
+    name /*: string*/,
+    config /*: Config*/,
+) /*: Template*/ => {
+    const base = path.basename(name);
+    const template = templates.find(
+        ({name}) => name === base || config.extensions.some(extension => name === base + extension),
+    );
+    if (!template) {
+        throw new Error(`No template found for ${base}`);
+    }
+    return template;
+};
+
+module.exports = {
+    configFileName,
+    defaultConfig,
+    resolveConfig,
+    loadConfig,
+    workflowName,
+    findTemplates,
+    findTemplate,
+};
@@ -0,0 +1,102 @@
+// @flow
+/**
+ * A minimal line-based unified diff, for showing how generated workflows
+ * differ from what's on disk. Workflow files are small, so the simple
+ * quadratic longest-common-subsequence approach is plenty fast.
+ */
+
+const splitLines = (text /*:string*/) => {
+    if (!text) {
+        return [];
+    }
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+};
+
+/*::
+type Edit = {type: ' ' | '-' | '+', line: string, oldNum: number, newNum: number};
+*/
+
+const diffLines = (a /*:Array<string>*/, b /*:Array<string>*/) /*:Array<Edit>*/ => {
+    // lcs[i][j] is the length of the longest common subsequence of a[i:] and b[j:]
+    const lcs = [];
+    for (let i = a.length; i >= 0; i--) {
+        lcs[i] = [];
+        for (let j = b.length; j >= 0; j--) {
+            if (i === a.length || j === b.length) {
+                lcs[i][j] = 0;
+            } else if (a[i] === b[j]) {
+                lcs[i][j] = lcs[i + 1][j + 1] + 1;
+            } else {
+                lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+    }
+    const edits = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            edits.push({type: ' ', line: a[i], oldNum: i, newNum: j});
+            i += 1;
+            j += 1;
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            edits.push({type: '-', line: a[i], oldNum: i, newNum: j});
+            i += 1;
+        } else {
+            edits.push({type: '+', line: b[j], oldNum: i, newNum: j});
+            j += 1;
+        }
+    }
+    return edits;
+};
+
+/**
+ * Produce a unified diff between two texts, or the empty string if they're
+ * the same.
+ */
+const unifiedDiff = (
+    oldText /*:string*/,
+    newText /*:string*/,
+    oldName /*:string*/,
+    newName /*:string*/,
+    context /*:number*/ = 3,
+) /*:string*/ => {
+    if (oldText === newText) {
+        return '';
+    }
+    const edits = diffLines(splitLines(oldText), splitLines(newText));
+    const hunks = [];
+    let current = null;
+    edits.forEach((edit, index) => {
+        if (edit.type === ' ') {
+            return;
+        }
+        const start = Math.max(0, index - context);
+        const end = Math.min(edits.length, index + context + 1);
+        if (current && start <= current.end) {
+            current.end = end;
+        } else {
+            current = {start, end};
+            hunks.push(current);
+        }
+    });
+    const lines = [`--- ${oldName}`, `+++ ${newName}`];
+    hunks.forEach(({start, end}) => {
+        const hunk = edits.slice(start, end);
+        const oldCount = hunk.filter(edit => edit.type !== '+').length;
+        const newCount = hunk.filter(edit => edit.type !== '-').length;
+        // Line numbers are 1-based, except that an empty range is described
+        // by the line before it.
+        const oldStart = hunk[0].oldNum + (oldCount ? 1 : 0);
+        const newStart = hunk[0].newNum + (newCount ? 1 : 0);
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(edit => lines.push(edit.type + edit.line));
+    });
+    return lines.join('\n') + '\n';
+};
+
+module.exports = {unifiedDiff};
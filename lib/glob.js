@@ -0,0 +1,231 @@
+// @flow
+/**
+ * The one glob engine shared by the workflow preprocessor (which compiles
+ * `paths` into a shell step) and the local runner (which matches paths
+ * in-process), so that a step runs locally if and only if it would run on
+ * github.
+ *
+ * Supported syntax (minimatch-style):
+ * - `*` matches anything except `/`
+ * - `?` matches a single character except `/`
+ * - `**` as a whole path segment matches zero or more directories, and
+ *   anywhere else it matches anything, including `/`
+ * - `{a,b}` matches either alternative (and can be nested)
+ * - `[abc]`, `[a-z]` and `[!abc]` (or `[^abc]`) character classes
+ * - `\` escapes the following character
+ *
+ * Unlike minimatch, `*` and `**` match dotfiles, as github's do.
+ *
+ * Patterns are translated into regular expressions that only use syntax
+ * shared by javascript and POSIX extended regular expressions (`grep -E`),
+ * so that the exact same expression can be used in both places.
+ */
+
+// Characters that are special outside of a bracket expression, in either
+// javascript or ERE regexes. (`]` and `}` are literal in both when unpaired.)
+const escapeRe = (text /*:string*/) => text.replace(/[.[\\()*+?{|^$]/g, '\\$&');
+
+/**
+ * Expand `{a,b}` alternatives into separate patterns. Braces without a comma,
+ * or without a matching closing brace, are left alone (and matched
+ * literally).
+ */
+const expandBraces = (pattern /*:string*/) /*:Array<string>*/ => {
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] === '\\') {
+            i += 1;
+            continue;
+        }
+        if (pattern[i] !== '{') {
+            continue;
+        }
+        let depth = 0;
+        let end = -1;
+        const commas = [];
+        for (let j = i; j < pattern.length; j++) {
+            const char = pattern[j];
+            if (char === '\\') {
+                j += 1;
+            } else if (char === '{') {
+                depth += 1;
+            } else if (char === '}') {
+                depth -= 1;
+                if (depth === 0) {
+                    end = j;
+                    break;
+                }
+            } else if (char === ',' && depth === 1) {
+                commas.push(j);
+            }
+        }
+        if (end === -1) {
+            return [pattern];
+        }
+        if (!commas.length) {
+            continue;
+        }
+        const prefix = pattern.slice(0, i);
+        const suffix = pattern.slice(end + 1);
+        const bounds = [i, ...commas, end];
+        const expanded = [];
+        for (let k = 0; k < bounds.length - 1; k++) {
+            const alternative = pattern.slice(bounds[k] + 1, bounds[k + 1]);
+            expanded.push(...expandBraces(prefix + alternative + suffix));
+        }
+        return expanded;
+    }
+    return [pattern];
+};
+
+const unsupportedInClass = ['\\', '[', ']'];
+
+/**
+ * Translate the contents of a `[...]` class. The result only uses bracket
+ * syntax that means the same thing in javascript and ERE: `^` is never
+ * first unless negating, and `-` is only ever last or part of a range.
+ */
+const translateClass = (pattern, body /*:string*/) => {
+    let negated = false;
+    if (body[0] === '!' || body[0] === '^') {
+        negated = true;
+        body = body.slice(1);
+    }
+    const ranges = [];
+    const singles = [];
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (unsupportedInClass.includes(char)) {
+            throw new Error(`Invalid pattern: ${pattern} - "${char}" is not supported in [...]`);
+        }
+        if (body[i + 1] === '-' && i + 2 < body.length) {
+            const to = body[i + 2];
+            if (unsupportedInClass.includes(to)) {
+                throw new Error(`Invalid pattern: ${pattern} - "${to}" is not supported in [...]`);
+            }
+            ranges.push(`${char}-${to}`);
+            i += 2;
+        } else if (!singles.includes(char)) {
+            singles.push(char);
+        }
+    }
+    const plain = singles.filter(char => char !== '^' && char !== '-');
+    const caret = singles.includes('^') ? '^' : '';
+    const dash = singles.includes('-') ? '-' : '';
+    if (negated) {
+        return `[^${ranges.join('')}${plain.join('')}${caret}/${dash}]`;
+    }
+    const inner = ranges.join('') + plain.join('') + caret + dash;
+    if (!inner) {
+        throw new Error(`Invalid pattern: ${pattern} - empty [...]`);
+    }
+    if (inner[0] === '^') {
+        // Only `^` and maybe `-`; a leading `^` would negate the class.
+        return '(' + singles.map(escapeRe).join('|') + ')';
+    }
+    return `[${inner}]`;
+};
+
+const translateSegment = (pattern, segment /*:string*/) => {
+    let res = '';
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+        if (char === '\\') {
+            i += 1;
+            res += escapeRe(i < segment.length ? segment[i] : '\\');
+        } else if (char === '*') {
+            let stars = 1;
+            while (segment[i + 1] === '*') {
+                stars += 1;
+                i += 1;
+            }
+            res += stars === 1 ? '[^/]*' : '.*';
+        } else if (char === '?') {
+            res += '[^/]';
+        } else if (char === '[' && segment.indexOf(']', i + 2) !== -1) {
+            const end = segment.indexOf(']', i + 2);
+            res += translateClass(pattern, segment.slice(i + 1, end));
+            i = end;
+        } else {
+            res += escapeRe(char);
+        }
+    }
+    return res;
+};
+
+const translate = (pattern /*:string*/) => {
+    const segments = pattern.split('/');
+    return segments
+        .map((segment, i) => {
+            const last = i === segments.length - 1;
+            if (segment === '**') {
+                // A leading or inner `**/` can match no directories at all.
+                return last ? '.*' : '(.*/)?';
+            }
+            return translateSegment(pattern, segment) + (last ? '' : '/');
+        })
+        .join('');
+};
+
+/**
+ * Turn a glob into the source of an anchored regular expression, usable both
+ * with `new RegExp()` and `grep -E`.
+ */
+const globToRegExpSource = (pattern /*:string*/) /*:string*/ => {
+    const alternatives = [];
+    expandBraces(pattern).forEach(expanded => {
+        const source = translate(expanded);
+        if (!alternatives.includes(source)) {
+            alternatives.push(source);
+        }
+    });
+    return alternatives.length === 1 ? `^${alternatives[0]}$` : `^(${alternatives.join('|')})$`;
+};
+
+const matchGlob = (pattern /*:string*/, file /*:string*/) /*:boolean*/ =>
+    new RegExp(globToRegExpSource(pattern)).test(file);
+
+/**
+ * As with github's `on.paths`, the last pattern that matches a file decides
+ * whether it counts, and `!pattern`s exclude files matched by earlier ones.
+ */
+const matchPaths = (patterns /*:Array<string>*/, files /*:Array<string>*/) /*:boolean*/ => {
+    const regexes = patterns.map(
+        pattern =>
+            pattern.startsWith('!')
+                ? {negated: true, rx: new RegExp(globToRegExpSource(pattern.slice(1)))}
+                : {negated: false, rx: new RegExp(globToRegExpSource(pattern))},
+    );
+    return files.some(file => {
+        let matched = false;
+        regexes.forEach(({negated, rx}) => {
+            if (matched === negated && rx.test(file)) {
+                matched = !negated;
+            }
+        });
+        return matched;
+    });
+};
+
+const shellQuote = (text /*:string*/) => `'${text.replace(/'/g, `'\\''`)}'`;
+
+/**
+ * The shell equivalent of `matchPaths`: a bash snippet that reads the
+ * newline-separated list of files in `$CHANGED`, and leaves the ones that
+ * match in `$MATCHED`. Positive patterns add the changed files they match,
+ * and `!negative` patterns remove them again.
+ */
+const shellMatchPaths = (patterns /*:Array<string>*/) /*:string*/ =>
+    [
+        'MATCHED=""',
+        ...patterns.map(
+            pattern =>
+                pattern.startsWith('!')
+                    ? `MATCHED=$(grep -vE ${shellQuote(
+                          globToRegExpSource(pattern.slice(1)),
+                      )} <<< "$MATCHED" || true)`
+                    : `MATCHED="$MATCHED
+$(grep -E ${shellQuote(globToRegExpSource(pattern))} <<< "$CHANGED" || true)"`,
+        ),
+    ].join('\n');
+
+module.exports = {globToRegExpSource, matchGlob, matchPaths, shellMatchPaths};
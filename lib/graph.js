@@ -0,0 +1,183 @@
+// @flow
+/**
+ * The graph of steps, setups and paths that `compileSteps` orders the steps
+ * of a job by, for `make-workflows graph`. Each edge goes from a node to
+ * something it needs, and the edges to setups are labeled with the
+ * conditions that the setup is needed under (which it inherits), unless
+ * it's needed no matter what.
+ *
+ * It can be written as Mermaid (which github renders in markdown), or as
+ * Graphviz DOT.
+ */
+
+/*::
+import type {Node} from './workflow-preprocessor';
+
+export type GraphNode = {
+    id: string,
+    type: 'step' | 'setup' | 'paths',
+    label: string,
+    setupId: ?string,
+};
+export type GraphEdge = {
+    from: string,
+    to: string,
+    // `setup` edges pull the setup in, `order` edges only order things.
+    kind: 'setup' | 'order',
+    label: ?string,
+};
+export type Graph = {nodes: Array<GraphNode>, edges: Array<GraphEdge>};
+export type Format = 'mermaid' | 'dot';
+*/
+
+const nodeLabel = (node /*: Node*/) /*: string*/ => {
+    const contents = node.contents;
+    if (contents.type === 'setup') {
+        return `setup ${contents.name}`;
+    }
+    if (contents.type === 'step') {
+        return `step "${contents.step.name || contents.step.uses || contents.step.run || ''}"`;
+    }
+    return `paths ${contents.paths.join(', ')}`;
+};
+
+const describeConditions = (nodes /*: {[key: string]: Node}*/, node /*: Node*/) => {
+    const conditions = node.conditions;
+    if (!conditions) {
+        return null;
+    }
+    return Object.keys(conditions)
+        .map(key => {
+            const {paths, if: iff} = conditions[key];
+            const pathsNode = paths ? nodes[paths] : null;
+            return [
+                pathsNode && pathsNode.contents.type === 'paths'
+                    ? `paths: ${pathsNode.contents.paths.join(', ')}`
+                    : null,
+                iff ? `if: ${iff}` : null,
+            ]
+                .filter(Boolean)
+                .join(' && ');
+        })
+        .join(' || ');
+};
+
+/**
+ * Take a copy of the graph that `compileSteps` has built, before it's sorted
+ * (which removes the edges).
+ */
+const snapshotGraph = (nodes /*: {[key: string]: Node}*/) /*: Graph*/ => {
+    const ids = Object.keys(nodes);
+    const edges = [];
+    ids.forEach(from => {
+        Object.keys(nodes[from].before).forEach(to => {
+            const target = nodes[to];
+            // Job-level setups are hung off of the first step, but they're
+            // needed no matter what that step's conditions are.
+            const fromJob = from === 'step-0' && target.consumers.includes('job');
+            const pullsIn =
+                target.contents.type === 'setup' && (fromJob || target.consumers.includes(from));
+            const label = pullsIn && !fromJob ? describeConditions(nodes, nodes[from]) : null;
+            edges.push({from, to, kind: pullsIn ? 'setup' : 'order', label});
+        });
+    });
+    return {
+        nodes: ids.map(id => {
+            const contents = nodes[id].contents;
+            return {
+                id,
+                type: contents.type,
+                label: nodeLabel(nodes[id]),
+                setupId: contents.type === 'setup' ? contents.setupId : null,
+            };
+        }),
+        edges,
+    };
+};
+
+const colors = {step: '#dbeafe', setup: '#dcfce7', paths: '#fef3c7'};
+const borders = {step: '#3b82f6', setup: '#22c55e', paths: '#f59e0b'};
+
+// The graph's node ids have all sorts of characters in them, so each
+// gets a simple id in the output.
+const shortIds = (graphs /*: Array<{title: string, graph: Graph}>*/) =>
+    graphs.map(({graph}, i) => {
+        const ids = {};
+        graph.nodes.forEach((node, j) => {
+            ids[node.id] = `g${i}n${j}`;
+        });
+        return ids;
+    });
+
+const mermaidText = (text /*: string*/) => `"${text.replace(/"/g, '#quot;')}"`;
+
+const toMermaid = (graphs /*: Array<{title: string, graph: Graph}>*/) /*: string*/ => {
+    const allIds = shortIds(graphs);
+    const lines = ['flowchart TD'];
+    graphs.forEach(({title, graph}, i) => {
+        const ids = allIds[i];
+        lines.push(`    subgraph g${i} [${mermaidText(title)}]`);
+        graph.nodes.forEach(node => {
+            lines.push(`        ${ids[node.id]}[${mermaidText(node.label)}]:::${node.type}`);
+        });
+        graph.edges.forEach(edge => {
+            const arrow = edge.kind === 'order' ? '-.->' : '-->';
+            const label = edge.label ? `|${mermaidText(edge.label)}|` : '';
+            lines.push(`        ${ids[edge.from]} ${arrow}${label} ${ids[edge.to]}`);
+        });
+        lines.push('    end');
+    });
+    Object.keys(colors).forEach(type => {
+        lines.push(`    classDef ${type} fill:${colors[type]},stroke:${borders[type]}`);
+    });
+    return lines.join('\n') + '\n';
+};
+
+const dotText = (text /*: string*/) => `"${text.replace(/["\\]/g, '\\$&')}"`;
+
+const toDot = (graphs /*: Array<{title: string, graph: Graph}>*/) /*: string*/ => {
+    const allIds = shortIds(graphs);
+    const lines = ['digraph workflows {', '    node [shape=box, style=filled];'];
+    graphs.forEach(({title, graph}, i) => {
+        const ids = allIds[i];
+        lines.push(`    subgraph cluster_${i} {`);
+        lines.push(`        label=${dotText(title)};`);
+        graph.nodes.forEach(node => {
+            lines.push(
+                `        ${ids[node.id]} [label=${dotText(node.label)}, ` +
+                    `fillcolor="${colors[node.type]}", color="${borders[node.type]}"];`,
+            );
+        });
+        graph.edges.forEach(edge => {
+            const attributes = [
+                edge.label ? `label=${dotText(edge.label)}` : null,
+                edge.kind === 'order' ? 'style=dashed' : null,
+            ].filter(Boolean);
+            lines.push(
+                `        ${ids[edge.from]} -> ${ids[edge.to]}` +
+                    (attributes.length ? ` [${attributes.join(', ')}]` : '') +
+                    ';',
+            );
+        });
+        lines.push('    }');
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+};
+
+const parseFormat = (format /*: string*/) /*: Format*/ => {
+    if (format === 'mermaid' || format === 'dot') {
+        return format;
+    }
+    throw new Error(`Unknown graph format "${format}", options are: mermaid, dot`);
+};
+
+/**
+ * Write out the graphs (of each job that's being shown) in the given format.
+ */
+const formatGraphs = (
+    graphs /*: Array<{title: string, graph: Graph}>*/,
+    format /*: Format*/,
+) /*: string*/ => (format === 'dot' ? toDot(graphs) : toMermaid(graphs));
+
+module.exports = {nodeLabel, snapshotGraph, parseFormat, formatGraphs};
@@ -0,0 +1,321 @@
+// @flow
+/**
+ * Resolving a template's `include`s. Included files can include other files
+ * themselves (relative to wherever they are), and can contribute `vars`,
+ * `setup`s, `job_templates`, `jobs`, `env` and `defaults` to the workflow.
+ *
+ * Includes starting with `pkg:` (like `pkg:@khanacademy/ci-setups/node.yml`)
+ * are resolved from node modules, so that setups can be shared between repos
+ * as versioned packages. The resolved files are recorded, with a hash of
+ * their contents, in a lockfile next to the templates, which lets
+ * `make-workflows --check` notice when a package has changed.
+ *
+ * Setups, job templates and jobs can only be defined once, so that nothing
+ * gets silently overwritten. `vars`, `env` and `defaults` can be overridden
+ * by the files that (directly or indirectly) include the file that set them,
+ * but two unrelated files can't disagree about them.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/*::
+import type {Workflow} from './workflow-preprocessor';
+
+type Settings = {[key: string]: any};
+export type IncludedPackage = {file: string, version: ?string, sha256: string};
+export type IncludedPackages = {[spec: string]: IncludedPackage};
+*/
+
+const packagePrefix = 'pkg:';
+const lockfileName = 'includes.lock.json';
+
+/**
+ * Find the file for an `include` entry. `pkg:` entries are resolved like
+ * node modules (from the including file's directory), and anything else is
+ * relative to the including file. Returns null for packages that can't be
+ * found.
+ */
+const resolveInclude = (spec /*: string*/, from /*: string*/) /*: ?string*/ => {
+    if (!spec.startsWith(packagePrefix)) {
+        return path.resolve(path.dirname(from), spec);
+    }
+    try {
+        // $FlowFixMe: flow's libdef doesn't know about the `paths` option
+        return require.resolve(spec.slice(packagePrefix.length), {
+            paths: [path.dirname(from)],
+        });
+    } catch (err) {
+        return null;
+    }
+};
+
+/*::
+type Package = {root: string, name: string, version: ?string};
+*/
+
+// The package that a `pkg:` include was resolved from.
+const findPackage = (spec /*: string*/, file /*: string*/) /*: ?Package*/ => {
+    const parts = spec.slice(packagePrefix.length).split('/');
+    const packageName = parts.slice(0, parts[0].startsWith('@') ? 2 : 1).join('/');
+    let dir = path.dirname(file);
+    while (dir !== path.dirname(dir)) {
+        const packageJson = path.join(dir, 'package.json');
+        if (fs.existsSync(packageJson)) {
+            const {name, version} = JSON.parse(fs.readFileSync(packageJson, 'utf8'));
+            if (name === packageName) {
+                return {root: dir, name, version};
+            }
+        }
+        dir = path.dirname(dir);
+    }
+    return null;
+};
+
+const hashFile = (file /*: string*/) =>
+    crypto
+        .createHash('sha256')
+        .update(fs.readFileSync(file))
+        .digest('hex');
+
+/**
+ * The contents of the lockfile (in `dir`), recording the packages that
+ * templates include. Returns null if there aren't any.
+ */
+const formatLockfile = (packages /*: IncludedPackages*/, dir /*: string*/) /*: ?string*/ => {
+    const specs = Object.keys(packages).sort();
+    if (!specs.length) {
+        return null;
+    }
+    const lock = {};
+    specs.forEach(spec => {
+        const {file, version, sha256} = packages[spec];
+        lock[spec] = {resolved: path.relative(dir, file), version, sha256};
+    });
+    return JSON.stringify(lock, null, 4) + '\n';
+};
+
+// The only things an included file can contribute
+const includableKeys = ['include', 'vars', 'setup', 'job_templates', 'jobs', 'env', 'defaults'];
+
+const kindLabels = {setup: 'Setup', job_templates: 'Job template', jobs: 'Job'};
+
+const isObject = (value /*: mixed*/) =>
+    !!value && typeof value === 'object' && !Array.isArray(value);
+
+/*::
+export type ResolvedInclude = {name: string, workflow: ?Workflow};
+*/
+
+/**
+ * Combine a workflow with everything that it includes (without touching the
+ * filesystem), returning the combined workflow. `resolve` is given each
+ * `include` entry along with the name of the file that it's in, and returns
+ * the (unique) name and contents of the included file.
+ */
+const combineIncludes = (
+    template /*: Workflow*/,
+    templateName /*: string*/,
+    resolve /*: (spec: string, from: string) => ResolvedInclude*/,
+) /*: Workflow*/ => {
+    // The files that each file includes, directly or indirectly (and itself)
+    const reach /*: {[name: string]: Array<string>}*/ = {};
+    const definedIn = {setup: {}, job_templates: {}, jobs: {}, settings: {}};
+    const setup = {};
+    const jobTemplates = {};
+    const jobs = {};
+    const vars = {};
+    const env = {};
+    const defaults = {};
+
+    const define = (kind, target, id, value, name) => {
+        if (definedIn[kind][id]) {
+            throw new Error(
+                `${kindLabels[kind]} "${id}" is defined in both ` +
+                    `${definedIn[kind][id]} and ${name}`,
+            );
+        }
+        definedIn[kind][id] = name;
+        target[id] = value;
+    };
+
+    // `env` and `defaults` are merged key by key (`defaults` being nested).
+    const mergeSettings = (target /*: Settings*/, values /*: Settings*/, prefix, name) => {
+        Object.keys(values).forEach(key => {
+            const id = prefix + key;
+            const value = values[key];
+            if (isObject(value) && (target[key] === undefined || isObject(target[key]))) {
+                // flow-next-uncovered-line
+                target[key] = target[key] || {};
+                // flow-next-uncovered-line
+                mergeSettings(target[key], value, id + '.', name);
+                return;
+            }
+            const previous = definedIn.settings[id];
+            if (
+                previous &&
+                !reach[name].includes(previous) &&
+                JSON.stringify(target[key]) !== JSON.stringify(value)
+            ) {
+                throw new Error(`"${id}" is set to different values in ${previous} and ${name}`);
+            }
+            definedIn.settings[id] = name;
+            target[key] = value;
+        });
+    };
+
+    const visit = (name, data, stack) => {
+        if (stack.includes(name)) {
+            throw new Error(
+                `Include cycle: ${stack
+                    .slice(stack.indexOf(name))
+                    .concat([name])
+                    .join(' -> ')}`,
+            );
+        }
+        if (reach[name]) {
+            // Already included by way of another file
+            return;
+        }
+        if (!data) {
+            throw new Error(`${name} is empty`);
+        }
+        if (name !== templateName) {
+            Object.keys(data).forEach(key => {
+                if (!includableKeys.includes(key)) {
+                    throw new Error(`"${key}" can't be used in an included file (${name})`);
+                }
+            });
+        }
+        reach[name] = [name];
+        (data.include || []).forEach(spec => {
+            const other = resolve(spec, name);
+            visit(other.name, other.workflow, stack.concat([name]));
+            reach[other.name].forEach(reached => {
+                if (!reach[name].includes(reached)) {
+                    reach[name].push(reached);
+                }
+            });
+        });
+
+        const ownSetup = data.setup || {};
+        Object.keys(ownSetup).forEach(id => define('setup', setup, id, ownSetup[id], name));
+        const ownTemplates = data.job_templates || {};
+        Object.keys(ownTemplates).forEach(id =>
+            define('job_templates', jobTemplates, id, ownTemplates[id], name),
+        );
+        const ownJobs = data.jobs || {};
+        Object.keys(ownJobs).forEach(id => define('jobs', jobs, id, ownJobs[id], name));
+        mergeSettings(vars, data.vars || {}, 'vars.', name);
+        mergeSettings(env, data.env || {}, 'env.', name);
+        mergeSettings(defaults, data.defaults || {}, 'defaults.', name);
+    };
+
+    visit(templateName, template, []);
+    if (!Object.keys(jobs).length) {
+        throw new Error(`Not a valid workflow file ${templateName}`);
+    }
+    // Keep the template's order of keys, with anything new before the jobs.
+    const combined /*: Workflow*/ = {...template};
+    delete combined.include;
+    delete combined.setup;
+    delete combined.job_templates;
+    delete combined.jobs;
+    if (Object.keys(vars).length) {
+        combined.vars = vars;
+    }
+    if (Object.keys(env).length) {
+        combined.env = env;
+    }
+    if (Object.keys(defaults).length) {
+        combined.defaults = defaults;
+    }
+    combined.setup = setup;
+    if (Object.keys(jobTemplates).length) {
+        combined.job_templates = jobTemplates;
+    }
+    combined.jobs = jobs;
+    return combined;
+};
+
+/**
+ * Load a template along with everything that it includes, returning the
+ * combined workflow, every file that went into it, and the packages that
+ * were included. `load` parses a single file, given the name that it should
+ * be referred to by, which is the `pkg:` include for package files, and
+ * `relativeName` for everything else. If an include can't be resolved, the
+ * error has the `files` that were found up to then, so that they can still be
+ * watched.
+ */
+const resolveIncludes = (
+    infile /*: string*/,
+    load /*: (file: string, name: string) => ?Workflow*/,
+    relativeName /*: (file: string) => string*/,
+) /*: {workflow: Workflow, files: Array<string>, packages: IncludedPackages}*/ => {
+    const root = path.resolve(infile);
+    const files = [root];
+    const packages = {};
+    const packageNames = {};
+    const packageOf /*: {[file: string]: ?Package}*/ = {};
+    const name = file => packageNames[file] || relativeName(file);
+    const fileNamed /*: {[name: string]: string}*/ = {[name(root)]: root};
+    const loaded /*: {[file: string]: ?Workflow}*/ = {};
+
+    // Files in packages are locked too, including the ones that they include
+    // relatively, which we name as if they'd been included with `pkg:`.
+    const packageSpec = (spec, file, from) => {
+        const pkg = packageOf[from];
+        if (spec.startsWith(packagePrefix) || !pkg) {
+            return spec;
+        }
+        const relative = path.relative(pkg.root, file);
+        return relative.startsWith('..')
+            ? spec
+            : `${packagePrefix}${pkg.name}/${relative.split(path.sep).join('/')}`;
+    };
+
+    const resolve = (other, fromName) => {
+        const from = fileNamed[fromName];
+        const otherFull = resolveInclude(other, from);
+        if (!otherFull) {
+            throw new Error(`Included package ${other} not found (from ${fromName})`);
+        }
+        if (!fs.existsSync(otherFull)) {
+            // Still a dependency (see below), so that watchers notice it appearing.
+            files.push(otherFull);
+            throw new Error(`Included file ${other} not found (from ${fromName})`);
+        }
+        const spec = packageSpec(other, otherFull, from);
+        if (spec.startsWith(packagePrefix)) {
+            const pkg = spec === other ? findPackage(spec, otherFull) : packageOf[from];
+            packageOf[otherFull] = pkg;
+            packageNames[otherFull] = spec;
+            packages[spec] = {
+                file: otherFull,
+                version: pkg ? pkg.version : null,
+                sha256: hashFile(otherFull),
+            };
+        }
+        const otherName = name(otherFull);
+        if (!(otherFull in loaded)) {
+            fileNamed[otherName] = otherFull;
+            files.push(otherFull);
+            loaded[otherFull] = load(otherFull, otherName);
+        }
+        return {name: otherName, workflow: loaded[otherFull]};
+    };
+
+    const template = load(root, name(root));
+    if (!template) {
+        throw new Error(`Not a valid workflow file ${infile}`);
+    }
+    try {
+        const workflow = combineIncludes(template, name(root), resolve);
+        return {workflow, files, packages};
+    } catch (err) {
+        err.files = files;
+        throw err;
+    }
+};
+
+module.exports = {combineIncludes, resolveIncludes, formatLockfile, lockfileName};
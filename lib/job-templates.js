@@ -0,0 +1,131 @@
+// @flow
+/**
+ * Jobs can `extends` one of the workflow's `job_templates`, to share things
+ * like `runs-on`, `timeout-minutes`, `env`, `setup` and a preamble of steps.
+ *
+ * - maps (like `env`) are merged key by key, and otherwise the job's own
+ *   values win over the template's
+ * - `setup`s are combined, the template's coming first
+ * - the template's `steps` go before the job's own steps, or after them if
+ *   the template has `steps_strategy: append`
+ *
+ * Templates can extend other templates too.
+ */
+const {setupList} = require('./setup-inputs');
+
+/*::
+import type {Job, SetupRefs, Workflow} from './workflow-preprocessor';
+
+type Settings = {[key: string]: any};
+*/
+
+// Keys that aren't simply merged
+const specialKeys = ['extends', 'setup', 'steps'];
+
+const isObject = (value /*: mixed*/) =>
+    !!value && typeof value === 'object' && !Array.isArray(value);
+
+const mergeValues = (base /*: any*/, own /*: any*/) => {
+    if (!isObject(base) || !isObject(own)) {
+        return own;
+    }
+    const merged /*: Settings*/ = {...base};
+    Object.keys(own).forEach(key => {
+        merged[key] = key in merged ? mergeValues(merged[key], own[key]) : own[key];
+    });
+    return merged;
+};
+
+// Every setup that either of them uses, each only once.
+const unionSetups = (base /*: ?SetupRefs*/, own /*: ?SetupRefs*/) => {
+    const seen = {};
+    const refs = [];
+    setupList(base)
+        .concat(setupList(own))
+        .forEach(({id, args}) => {
+            const key = `${id} ${JSON.stringify(args)}`;
+            if (!seen[key]) {
+                seen[key] = true;
+                refs.push(Object.keys(args).length ? {[id]: args} : id);
+            }
+        });
+    return refs;
+};
+
+const extend = (base /*: Settings*/, own /*: Settings*/) /*: Settings*/ => {
+    const merged /*: Settings*/ = {};
+    [base, own].forEach(item => {
+        Object.keys(item).forEach(key => {
+            if (!specialKeys.includes(key)) {
+                merged[key] = key in merged ? mergeValues(merged[key], item[key]) : item[key];
+            }
+        });
+    });
+    const setup = unionSetups(base.setup, own.setup);
+    if (setup.length) {
+        merged.setup = setup;
+    }
+    if (base.steps || own.steps) {
+        const baseSteps = base.steps || [];
+        const ownSteps = own.steps || [];
+        merged.steps =
+            base.steps_strategy === 'append'
+                ? ownSteps.concat(baseSteps)
+                : baseSteps.concat(ownSteps);
+    }
+    return merged;
+};
+
+/**
+ * Apply the `job_templates` that a workflow's jobs extend, returning the
+ * workflow without them.
+ */
+const applyJobTemplates = (workflow /*: Workflow*/) /*: Workflow*/ => {
+    const templates = workflow.job_templates || {};
+    const resolved = {};
+    const resolve = (name /*: string*/, by /*: string*/, stack /*: Array<string>*/) => {
+        if (stack.includes(name)) {
+            throw new Error(
+                `Job template cycle: ${stack
+                    .slice(stack.indexOf(name))
+                    .concat([name])
+                    .join(' -> ')}`,
+            );
+        }
+        const template = templates[name];
+        if (!template) {
+            throw new Error(`${by} extends "${name}", which isn't one of the job_templates`);
+        }
+        if (!resolved[name]) {
+            resolved[name] = template.extends
+                ? extend(
+                      resolve(template.extends, `Job template "${name}"`, stack.concat([name])),
+                      template,
+                  )
+                : template;
+        }
+        return resolved[name];
+    };
+
+    const jobs = {};
+    Object.keys(workflow.jobs).forEach(jobId => {
+        const job = workflow.jobs[jobId];
+        if (job.steps_strategy) {
+            throw new Error(
+                `"steps_strategy" can only be used in job templates, not in job "${jobId}"`,
+            );
+        }
+        if (!job.extends) {
+            jobs[jobId] = job;
+            return;
+        }
+        const extended = extend(resolve(job.extends, `Job "${jobId}"`, []), job);
+        delete extended.steps_strategy;
+        jobs[jobId] = extended;
+    });
+    const result = {...workflow, jobs};
+    delete result.job_templates;
+    return result;
+};
+
+module.exports = {applyJobTemplates};
@@ -0,0 +1,259 @@
+// @flow
+/**
+ * Finding things in templates that are probably mistakes, but that don't
+ * stop them from compiling, for `make-workflows lint`:
+ *
+ * - `unused-setup`: setups that no job uses, even indirectly
+ * - `dead-paths`: `paths` (and `paths-ignore`) patterns that don't match any
+ *   of the repo's files
+ * - `setup-cycle`: setups that depend on themselves (which is only an error
+ *   once a job uses them)
+ * - `run-and-uses`: steps with both `run` and `uses`
+ * - `bail-if-outputs`: `bail_if` conditions on outputs that the step doesn't
+ *   set. We can only tell for `run` steps that write to `$GITHUB_OUTPUT` (or
+ *   use `::set-output`) themselves.
+ *
+ * Each problem says where it is, as `file:line` when we know the line.
+ */
+const {matchGlob} = require('./glob');
+const {setupList} = require('./setup-inputs');
+
+/*::
+import type {Job, PathFilters, Setup, Step, Workflow} from './workflow-preprocessor';
+
+export type LintProblem = {rule: string, where: string, message: string};
+type Context = {
+    template: string,
+    setupSources: {[setupId: string]: string},
+};
+type LintOptions = Context & {trackedFiles: Array<string>};
+*/
+
+// Every step of a (combined) workflow, with a description of where it is.
+const allSteps = (workflow /*: Workflow*/) /*: Array<{step: Step, label: string}>*/ => {
+    const steps = [];
+    const add = (list /*: ?Array<Step>*/, label) =>
+        (list || []).forEach(step => steps.push({step, label}));
+    Object.keys(workflow.jobs || {}).forEach(jobId => {
+        add(workflow.jobs[jobId].steps, `job "${jobId}"`);
+    });
+    const templates = workflow.job_templates || {};
+    Object.keys(templates).forEach(name => add(templates[name].steps, `job template "${name}"`));
+    const setups = workflow.setup || {};
+    Object.keys(setups).forEach(setupId => {
+        const setup = setups[setupId];
+        if (Array.isArray(setup)) {
+            add(setup, `setup ${setupId}`);
+        } else if (setup) {
+            add(setup.steps, `setup ${setupId}`);
+            add(setup.post, `setup ${setupId}`);
+        }
+    });
+    return steps;
+};
+
+const stepLabel = (step /*: Step*/, label /*: string*/) =>
+    `step "${step.name || step.uses || step.run || ''}" (in ${label})`;
+
+const stepWhere = (ctx /*: Context*/, step /*: Step*/) => step.__source || ctx.template;
+
+const runAndUses = (ctx /*: Context*/, workflow /*: Workflow*/) /*: Array<LintProblem>*/ =>
+    allSteps(workflow)
+        .filter(({step}) => step.run && step.uses)
+        .map(({step, label}) => ({
+            rule: 'run-and-uses',
+            where: stepWhere(ctx, step),
+            message: `${stepLabel(step, label)} has both "run" and "uses", but can only do one`,
+        }));
+
+// The outputs that a shell script sets, or null if we can't tell.
+const outputsSetBy = (run /*: string*/) /*: ?Array<string>*/ => {
+    if (!/GITHUB_OUTPUT|::set-output/.test(run)) {
+        return null;
+    }
+    const outputs = [];
+    run.split('\n').forEach(line => {
+        const setOutput = line.match(/::set-output name=([\w-]+)::/);
+        if (setOutput) {
+            outputs.push(setOutput[1]);
+        } else if (line.includes('GITHUB_OUTPUT')) {
+            const assignment = line.split('>>')[0].match(/\b([A-Za-z_][\w-]*)(?:=|<<)/);
+            if (assignment) {
+                outputs.push(assignment[1]);
+            }
+        }
+    });
+    return outputs;
+};
+
+const bailIfOutputs = (ctx /*: Context*/, workflow /*: Workflow*/) /*: Array<LintProblem>*/ => {
+    const problems = [];
+    allSteps(workflow).forEach(({step, label}) => {
+        const outputs = step.bail_if && step.run ? outputsSetBy(step.run) : null;
+        if (!outputs || !step.bail_if) {
+            return;
+        }
+        const referenced = step.bail_if.match(/(?<![.\w])outputs\.[\w-]+/g) || [];
+        referenced.map(ref => ref.slice('outputs.'.length)).forEach(name => {
+            if (!outputs.includes(name)) {
+                problems.push({
+                    rule: 'bail-if-outputs',
+                    where: stepWhere(ctx, step),
+                    message:
+                        `The bail_if of ${stepLabel(step, label)} uses outputs.${name}, ` +
+                        `but the step only sets ${
+                            outputs.length ? outputs.join(', ') : 'no outputs'
+                        }`,
+                });
+            }
+        });
+    });
+    return problems;
+};
+
+const deadPaths = (
+    ctx /*: Context*/,
+    workflow /*: Workflow*/,
+    trackedFiles /*: Array<string>*/,
+) /*: Array<LintProblem>*/ => {
+    const problems = [];
+    const check = (item /*: PathFilters*/, label, where) => {
+        [item.paths, item['paths-ignore']].forEach(patterns => {
+            (typeof patterns === 'string' ? [patterns] : patterns || []).forEach(pattern => {
+                const positive = pattern.replace(/^!/, '');
+                if (!trackedFiles.some(file => matchGlob(positive, file))) {
+                    problems.push({
+                        rule: 'dead-paths',
+                        where,
+                        message: `The paths pattern "${pattern}" of ${label} doesn't match any files`,
+                    });
+                }
+            });
+        });
+    };
+    const on = workflow.on;
+    if (on && !Array.isArray(on)) {
+        Object.keys(on).forEach(event => {
+            if (on[event]) {
+                check(on[event], `"on: ${event}"`, ctx.template);
+            }
+        });
+    }
+    const checkJobs = (jobs /*: {[key: string]: $Shape<Job>}*/, kind) =>
+        Object.keys(jobs).forEach(jobId => {
+            check(jobs[jobId], `${kind} "${jobId}"`, ctx.template);
+        });
+    checkJobs(workflow.jobs || {}, 'job');
+    checkJobs(workflow.job_templates || {}, 'job template');
+    const setups = workflow.setup || {};
+    Object.keys(setups).forEach(setupId => {
+        const setup = setups[setupId];
+        if (setup && !Array.isArray(setup)) {
+            check(setup, `setup ${setupId}`, ctx.setupSources[setupId] || ctx.template);
+        }
+    });
+    allSteps(workflow).forEach(({step, label}) => {
+        check(step, stepLabel(step, label), stepWhere(ctx, step));
+    });
+    return problems;
+};
+
+const setupCycles = (ctx /*: Context*/, workflow /*: Workflow*/) /*: Array<LintProblem>*/ => {
+    const setups /*: {[key: string]: Setup}*/ = workflow.setup || {};
+    const needs = (setupId /*: string*/) => {
+        const setup = setups[setupId];
+        return setup && !Array.isArray(setup)
+            ? setupList(setup.setup)
+                  .map(({id}) => id)
+                  .filter(id => setups[id])
+            : [];
+    };
+    const problems = [];
+    const reported = {};
+    const finished = {};
+    const visit = (setupId, stack) => {
+        if (stack.includes(setupId)) {
+            const cycle = stack.slice(stack.indexOf(setupId));
+            const key = cycle
+                .slice()
+                .sort()
+                .join(' ');
+            if (!reported[key]) {
+                reported[key] = true;
+                problems.push({
+                    rule: 'setup-cycle',
+                    where: ctx.setupSources[setupId] || ctx.template,
+                    message: `Setup ${setupId} depends on itself: ${cycle
+                        .concat([setupId])
+                        .join(' -> ')}`,
+                });
+            }
+            return;
+        }
+        if (finished[setupId]) {
+            return;
+        }
+        needs(setupId).forEach(id => visit(id, stack.concat([setupId])));
+        finished[setupId] = true;
+    };
+    Object.keys(setups).forEach(setupId => visit(setupId, []));
+    return problems;
+};
+
+/**
+ * Lint a template (combined with everything it includes, see
+ * `combineTemplate`). `template` is its name, for problems that we don't know
+ * the line of.
+ */
+const lintWorkflow = (
+    workflow /*: Workflow*/,
+    {template, setupSources, trackedFiles} /*: LintOptions*/,
+) /*: Array<LintProblem>*/ => {
+    const ctx = {template, setupSources};
+    return [
+        ...setupCycles(ctx, workflow),
+        ...runAndUses(ctx, workflow),
+        ...bailIfOutputs(ctx, workflow),
+        ...deadPaths(ctx, workflow, trackedFiles),
+    ];
+};
+
+/**
+ * The setups (given with where they're defined) that no job uses. Setups from
+ * packages are left out, as they're shared with other repos.
+ */
+const unusedSetups = (
+    defined /*: Array<{setupId: string, where: string}>*/,
+    used /*: Array<string>*/,
+) /*: Array<LintProblem>*/ =>
+    defined
+        .filter(({setupId, where}) => !used.includes(setupId) && !where.startsWith('pkg:'))
+        .map(({setupId, where}) => ({
+            rule: 'unused-setup',
+            where,
+            message: `Setup ${setupId} isn't used by any job`,
+        }));
+
+/**
+ * Format problems for the terminal, one per line.
+ */
+const formatProblems = (problems /*: Array<LintProblem>*/) /*: string*/ =>
+    problems.map(({rule, where, message}) => `${where}: ${message} (${rule})`).join('\n');
+
+/**
+ * Remove duplicate problems, as files that several templates include are
+ * linted once for each of them.
+ */
+const uniqueProblems = (problems /*: Array<LintProblem>*/) /*: Array<LintProblem>*/ => {
+    const seen = {};
+    return problems.filter(problem => {
+        const key = JSON.stringify(problem);
+        if (seen[key]) {
+            return false;
+        }
+        seen[key] = true;
+        return true;
+    });
+};
+
+module.exports = {lintWorkflow, unusedSetups, formatProblems, uniqueProblems};
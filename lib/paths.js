@@ -0,0 +1,103 @@
+// @flow
+/**
+ * Checking which files have changed, for steps and jobs with `paths`: the
+ * patterns that they're matched against, the step that checks them, and the
+ * ids of its outputs.
+ */
+const crypto = require('crypto');
+const {shellMatchPaths} = require('./glob');
+
+/*::
+import type {PathFilters, Step} from './workflow-preprocessor';
+
+export type PathsGroup = {id: string, paths: Array<string>};
+*/
+
+/**
+ * Steps and setups can have both `paths` and `paths-ignore`. These are
+ * combined into a single list of patterns, where a `!pattern` excludes files
+ * matched by earlier patterns. As with github's `on.paths`, the last pattern
+ * that matches a file decides whether it counts; `paths-ignore` entries are
+ * added to the end as negated patterns, so they always win.
+ */
+const pathPatterns = (item /*: PathFilters*/) /*: ?Array<string>*/ => {
+    const paths = item.paths;
+    const ignore = item['paths-ignore'];
+    if (!paths && !ignore) {
+        return null;
+    }
+    const patterns = paths ? (typeof paths === 'string' ? [paths] : paths.slice()) : ['**'];
+    if (ignore) {
+        (typeof ignore === 'string' ? [ignore] : ignore).forEach(pattern =>
+            patterns.push('!' + pattern),
+        );
+    }
+    return patterns;
+};
+
+/**
+ * This creates a script that checks which of the "paths" groups are matched
+ * by changed files, computing the diff only once, and writing a `true` or
+ * `false` output for each group's id. The patterns are translated into
+ * `grep -E` regexes by `glob.js`, which is also what the local runner uses,
+ * so the two always agree on which files match.
+ *
+ * Within a group, patterns are applied in order: positive patterns add the
+ * changed files they match to the set of matched files, and `!negative`
+ * patterns remove them.
+ */
+const changesScript = (groups /*:Array<PathsGroup>*/) /*:string*/ =>
+    [
+        `BASE=$\{GITHUB_BASE_REF:-HEAD~1}
+CHANGED=$(git diff --name-only refs/remotes/origin/$BASE --relative)`,
+        ...groups.map(
+            ({id, paths}) => `
+# ${id}: ${paths.join(', ')}
+${shellMatchPaths(paths)}
+if grep -q . <<< "$MATCHED"
+then
+echo "${id}=true" >> $GITHUB_OUTPUT
+else
+echo "${id}=false" >> $GITHUB_OUTPUT
+fi`,
+        ),
+    ].join('\n');
+
+/**
+ * The single "detect changes" step of a job, whose outputs are referenced as
+ * `steps.changes.outputs.<group id>`.
+ */
+const compileChanges = (groups /*:Array<PathsGroup>*/) /*: Step*/ => ({
+    id: 'changes',
+    name: 'Check paths: ' + groups.map(({paths}) => paths.join(', ')).join('; '),
+    run: changesScript(groups),
+});
+
+const pathsSlug = (paths /*:Array<string>*/) =>
+    'paths_' + paths.map(path => path.replace(/^!/, 'not_').replace(/\W+/g, '_')).join('__');
+
+/**
+ * The ids for some (distinct) groups of paths, which are derived from their
+ * patterns so that they're the same every time a workflow is compiled. Groups
+ * whose patterns only differ in punctuation get a hash of them appended.
+ */
+const makePathsIds = (groups /*:Array<Array<string>>*/) /*:Array<string>*/ => {
+    const counts = {};
+    groups.forEach(paths => {
+        const slug = pathsSlug(paths);
+        counts[slug] = (counts[slug] || 0) + 1;
+    });
+    return groups.map(paths => {
+        const slug = pathsSlug(paths);
+        if (counts[slug] === 1) {
+            return slug;
+        }
+        const hash = crypto
+            .createHash('sha1')
+            .update(JSON.stringify(paths))
+            .digest('hex');
+        return `${slug}_${hash.slice(0, 8)}`;
+    });
+};
+
+module.exports = {pathPatterns, changesScript, compileChanges, makePathsIds};
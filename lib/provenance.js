@@ -0,0 +1,228 @@
+// @flow
+/**
+ * Where each step of a generated workflow came from: the template (or
+ * included file) and line it was defined on, the setup it's part of, and
+ * whatever pulled that setup in. This is written as a comment above each
+ * step, and shown in more detail by `make-workflows explain`.
+ */
+const yaml = require('js-yaml');
+
+/*::
+import type {Provenance, Via, Step, Workflow} from './workflow-preprocessor';
+import type {Located} from './yaml-positions';
+
+type Locate = $PropertyType<Located, 'locate'>;
+*/
+
+const describeOrigin = (origin /*: Provenance*/) =>
+    origin.source || `generated (${origin.generated || 'by make-workflows'})`;
+
+const describeVia = (via /*: Via*/) => (via.source ? `${via.label} (${via.source})` : via.label);
+
+/**
+ * Record where each step of a template (or included file) came from, as
+ * `file:line`, for the provenance comments in the generated workflow.
+ */
+const tagSources = (data /*: Workflow*/, locate /*: Locate*/, filename /*:string*/) => {
+    const tag = (steps /*: ?Array<Step>*/, at) => {
+        (steps || []).forEach((step, i) => {
+            const position = locate(at.concat([i]));
+            if (position) {
+                step.__source = `${filename}:${position.line}`;
+            }
+        });
+    };
+    Object.keys(data.jobs || {}).forEach(jobId => {
+        tag(data.jobs[jobId].steps, ['jobs', jobId, 'steps']);
+    });
+    const templates = data.job_templates || {};
+    Object.keys(templates).forEach(name => {
+        tag(templates[name].steps, ['job_templates', name, 'steps']);
+    });
+    const setups = data.setup || {};
+    Object.keys(setups).forEach(setupId => {
+        const setup = setups[setupId];
+        if (Array.isArray(setup)) {
+            tag(setup, ['setup', setupId]);
+        } else if (setup) {
+            tag(setup.steps, ['setup', setupId, 'steps']);
+            tag(setup.post, ['setup', setupId, 'post']);
+        }
+    });
+};
+
+/**
+ * The one-line summary that goes above a step in the generated workflow.
+ */
+const provenanceComment = (origin /*: Provenance*/) /*: string*/ => {
+    const parts = [describeOrigin(origin)];
+    if (origin.setup) {
+        parts.push(`setup ${origin.setup}`);
+    }
+    if (origin.via.length) {
+        const labels = origin.via.slice(0, 2).map(via => via.label);
+        if (origin.via.length > 2) {
+            labels.push(`+${origin.via.length - 2} more`);
+        }
+        parts.push(`for ${labels.join(', ')}`);
+    }
+    return parts.join(', ');
+};
+
+/**
+ * Dump a compiled workflow as yaml, with a provenance comment above each of
+ * the steps, and the template's own comments above the steps, jobs and
+ * top-level keys they were written above. js-yaml can't write comments, so
+ * we dump a placeholder key in their place, and replace it afterwards.
+ *
+ * Long strings aren't folded, and `on` isn't quoted, so that the output
+ * looks like something that was written by hand, and changes to it are
+ * easy to review.
+ */
+const dumpWithProvenance = (
+    workflow /*: Workflow*/,
+    provenance /*: {[jobId: string]: Array<Provenance>}*/,
+) /*: string*/ => {
+    const comments = [];
+    const placeholder = (lines /*: Array<string>*/) => {
+        comments.push(lines);
+        return `__comments_${comments.length - 1}`;
+    };
+    const withComments = (map /*: {[key: string]: any}*/, commentsFor) => {
+        const result = {};
+        Object.keys(map).forEach(key => {
+            const lines = commentsFor(key);
+            if (lines && lines.length) {
+                result[placeholder(lines)] = null;
+            }
+            result[key] = map[key];
+        });
+        return result;
+    };
+    const jobs = {};
+    Object.keys(workflow.jobs).forEach(jobId => {
+        const job = {...workflow.jobs[jobId]};
+        delete job.__comments;
+        const origins = provenance[jobId] || [];
+        jobs[jobId] = {
+            ...job,
+            steps: job.steps.map((step, i) => {
+                if (!origins[i]) {
+                    return step;
+                }
+                const lines = (origins[i].comments || []).concat([
+                    `# ${provenanceComment(origins[i])}`,
+                ]);
+                return {[placeholder(lines)]: null, ...step};
+            }),
+        };
+    });
+    const topLevel = workflow.__comments || {};
+    const data = withComments({...workflow, jobs}, key => topLevel[key]);
+    delete data.__comments;
+    data.jobs = withComments(jobs, jobId => workflow.jobs[jobId].__comments);
+    const indented = (indent, num) => comments[+num].map(line => `${indent}${line}\n`).join('');
+    return yaml
+        .safeDump(data, {noRefs: true, lineWidth: -1})
+        .replace(
+            /^( *)- __comments_(\d+): null\n\1 {2}/gm,
+            (_, indent, num) => `${indented(indent, num)}${indent}- `,
+        )
+        .replace(/^( *)__comments_(\d+): null\n/gm, (_, indent, num) => indented(indent, num))
+        .replace(/^'on':/m, 'on:');
+};
+
+/**
+ * Find a step by its (1-based) number, its id, or its name. Names only need
+ * to match partially, as long as just one step matches.
+ */
+const findStep = (steps /*: Array<Step>*/, selector /*: string*/) /*: number*/ => {
+    if (/^\d+$/.test(selector)) {
+        const index = parseInt(selector, 10) - 1;
+        if (index < 0 || index >= steps.length) {
+            throw new Error(`There is no step ${selector}, the job has ${steps.length} steps`);
+        }
+        return index;
+    }
+    const byId = steps.findIndex(step => step.id === selector);
+    if (byId !== -1) {
+        return byId;
+    }
+    const byName = steps.findIndex(step => step.name === selector);
+    if (byName !== -1) {
+        return byName;
+    }
+    const matches = [];
+    steps.forEach((step, i) => {
+        if (step.name && step.name.includes(selector)) {
+            matches.push(i);
+        }
+    });
+    if (matches.length === 1) {
+        return matches[0];
+    }
+    throw new Error(
+        matches.length
+            ? `"${selector}" matches ${matches.length} steps: ` +
+              matches.map(i => `${i + 1}. ${steps[i].name}`).join(', ')
+            : `No step with an id or name matching "${selector}"`,
+    );
+};
+
+const chainLines = (vias /*: Array<Via>*/, indent /*: string*/) =>
+    vias.reduce(
+        (lines, via) =>
+            lines.concat([`${indent}- ${describeVia(via)}`], chainLines(via.via, indent + '    ')),
+        [],
+    );
+
+const describePaths = (paths /*: Array<string>*/) => paths.join(', ');
+
+/**
+ * Explain why a step is in a generated workflow, and when it runs.
+ */
+const explainStep = (step /*: Step*/, index /*: number*/, origin /*: Provenance*/) /*: string*/ => {
+    const lines = [`Step ${index + 1}: ${step.name || step.uses || step.run || ''}`];
+    lines.push(`  defined at: ${describeOrigin(origin)}`);
+    if (origin.setup) {
+        lines.push(`  part of setup: ${origin.setup}`);
+        lines.push(`  included because of:`);
+        lines.push(...chainLines(origin.via, '    '));
+    }
+    if (step.if != null) {
+        lines.push(`  if: ${String(step.if)}`);
+    }
+    const {when, ownPaths} = origin;
+    if (when) {
+        lines.push(`  only runs if one of these holds:`);
+        lines.push(
+            ...when.map(
+                condition =>
+                    '    - ' +
+                    [
+                        condition.paths
+                            ? `files changed matching ${describePaths(condition.paths)}`
+                            : null,
+                        condition.if,
+                    ]
+                        .filter(Boolean)
+                        .join(', and '),
+            ),
+        );
+    }
+    if (ownPaths) {
+        lines.push(`  and the setup's own paths: ${describePaths(ownPaths)}`);
+    }
+    if (!when && !ownPaths) {
+        lines.push(`  no paths conditions`);
+    }
+    return lines.join('\n');
+};
+
+module.exports = {
+    tagSources,
+    provenanceComment,
+    dumpWithProvenance,
+    findStep,
+    explainStep,
+};
@@ -0,0 +1,103 @@
+// @flow
+/**
+ * With `setup-actions: true`, setups with more than one step are compiled
+ * into local composite actions (in `.github/actions/<setup>/action.yml`),
+ * and jobs use them with a single `uses: ./.github/actions/<setup>` step,
+ * instead of having all of the setup's steps inlined.
+ *
+ * The `checkout` setup is always inlined, because local actions can't be
+ * found until the repo has been checked out.
+ */
+const {inputsAsExpressions} = require('./setup-inputs');
+const {namespaceStepIds} = require('./step-ids');
+const {expandCache} = require('./setup-cache');
+
+/*::
+import type {Setup, SetupArgs, Step} from './workflow-preprocessor';
+
+export type CompositeAction = {
+    name: string,
+    description: string,
+    inputs?: {[key: string]: {description?: string, required?: boolean, default?: string}},
+    runs?: {using: 'composite', steps: Array<Step>},
+};
+*/
+
+const actionsDir = '.github/actions';
+
+// Composite actions don't support these on their steps.
+const unsupportedKeys = ['timeout-minutes', 'bail_if'];
+// These only mean something to us (or to `run.js`).
+const localKeys = ['__source', '__comments', 'local', 'local_env_flag', 'local_cache_directory'];
+
+const setupStepsOf = (setup /*: Setup*/) /*: Array<Step>*/ =>
+    Array.isArray(setup) ? setup : setup.steps || [];
+
+const isActionSetup = (setupId /*: string*/, setup /*: Setup*/) =>
+    setupId !== 'checkout' && setupStepsOf(setup).length > 1;
+
+const actionStep = (setupId /*: string*/, step /*: Step*/) /*: Step*/ => {
+    unsupportedKeys.forEach(key => {
+        if (key in step) {
+            throw new Error(
+                `"${key}" can't be used in setup ${setupId}, as it's compiled into an action`,
+            );
+        }
+    });
+    const copy = {...step};
+    localKeys.forEach(key => delete copy[key]);
+    // Composite actions have no default shell.
+    if (copy.run && !copy.shell) {
+        copy.shell = 'bash';
+    }
+    return inputsAsExpressions(copy);
+};
+
+const compositeAction = (setupId /*: string*/, definition /*: Setup*/) /*: CompositeAction*/ => {
+    const inputs = Array.isArray(definition) ? null : definition.inputs;
+    const setup = expandCache(setupId, definition, Object.keys(inputs || {}));
+    const action /*: CompositeAction*/ = {
+        name: `Setup ${setupId}`,
+        description: `The "${setupId}" setup, compiled by workflow-preprocessor.js`,
+    };
+    if (inputs && Object.keys(inputs).length) {
+        const actionInputs = {};
+        Object.keys(inputs).forEach(name => {
+            const input = inputs[name] || {};
+            actionInputs[name] = {};
+            if (input.description) {
+                actionInputs[name].description = input.description;
+            }
+            actionInputs[name].required = !!input.required;
+            if (input.default != null) {
+                actionInputs[name].default = String(input.default);
+            }
+        });
+        action.inputs = actionInputs;
+    }
+    action.runs = {
+        using: 'composite',
+        // Step ids are already local to the action, so they don't need a namespace.
+        steps: setupStepsOf(namespaceStepIds(setupId, setup, '')).map(step =>
+            actionStep(setupId, step),
+        ),
+    };
+    return action;
+};
+
+/**
+ * The step that runs a setup's action, passing along its arguments.
+ */
+const useAction = (setupId /*: string*/, name /*: string*/, args /*: SetupArgs*/) /*: Step*/ => {
+    const step /*: Step*/ = {name: `▶️ Setup ${name}`, uses: `./${actionsDir}/${setupId}`};
+    if (Object.keys(args).length) {
+        const withArgs = {};
+        Object.keys(args).forEach(key => {
+            withArgs[key] = String(args[key]);
+        });
+        step.with = withArgs;
+    }
+    return step;
+};
+
+module.exports = {actionsDir, isActionSetup, compositeAction, useAction};
@@ -0,0 +1,122 @@
+// @flow
+/**
+ * Setups can declare a cache, instead of writing their own `actions/cache`
+ * steps:
+ *
+ * ```yaml
+ * setup:
+ *   yarn:
+ *     cache:
+ *       paths: [node_modules]
+ *       key_files: [yarn.lock]
+ *     steps:
+ *     - uses: actions/setup-node@v3
+ *     - run: yarn install --frozen-lockfile
+ *       skip_on_cache_hit: true
+ * ```
+ *
+ * A step that restores the cache goes before the setup's steps, keyed by the
+ * runner's OS, the setup (and its inputs), and a hash of the `key_files`. On
+ * an exact hit, the steps with `skip_on_cache_hit` are skipped, while the
+ * others (like installing a toolchain) still run. The `key_files` need the
+ * repo, so a setup with a cache depends on the `checkout` setup.
+ */
+const {setupList} = require('./setup-inputs');
+
+/*::
+import type {Setup, SetupRefs, Step} from './workflow-preprocessor';
+*/
+
+const cacheStepId = 'restore_cache';
+
+const asList = (value /*: string | Array<string>*/) =>
+    typeof value === 'string' ? [value] : value;
+
+const quote = (text /*: string*/) => `'${text.replace(/'/g, "''")}'`;
+
+// The steps of a setup without their `skip_on_cache_hit`, which only a setup
+// with a cache can have.
+const withoutSkips = (setupId /*: string*/, steps /*: Array<Step>*/, miss /*: ?string*/) =>
+    steps.map(step => {
+        if (!('skip_on_cache_hit' in step)) {
+            return step;
+        }
+        if (step.skip_on_cache_hit && !miss) {
+            throw new Error(
+                `A step of setup ${setupId} has skip_on_cache_hit, but the setup has no cache`,
+            );
+        }
+        const copy /*: Step*/ = {...step};
+        delete copy.skip_on_cache_hit;
+        if (!miss || !step.skip_on_cache_hit || step.if === false) {
+            return copy;
+        }
+        copy.if = typeof step.if === 'string' ? `(${miss}) && (${step.if})` : miss;
+        return copy;
+    });
+
+/**
+ * Replace a setup's `cache` with the steps that implement it. `inputs` are
+ * the names of the inputs that it's being used with, which are part of the
+ * cache key.
+ */
+const expandCache = (
+    setupId /*: string*/,
+    setup /*: Setup*/,
+    inputs /*: Array<string>*/,
+) /*: Setup*/ => {
+    if (Array.isArray(setup)) {
+        return setup;
+    }
+    if ((setup.post || []).some(step => 'skip_on_cache_hit' in step)) {
+        throw new Error(
+            `Only steps of setup ${setupId} can have skip_on_cache_hit, not post steps`,
+        );
+    }
+    if (!setup.cache) {
+        const steps = setup.steps || [];
+        return steps.some(step => 'skip_on_cache_hit' in step)
+            ? {...setup, steps: withoutSkips(setupId, steps, null)}
+            : setup;
+    }
+    const {cache, ...rest} = setup;
+    if (setupId === 'checkout') {
+        throw new Error('The "checkout" setup cannot have a cache');
+    }
+    const steps = setup.steps || [];
+    if (steps.some(step => step.id === cacheStepId)) {
+        throw new Error(
+            `Setup ${setupId} has a cache, so none of its steps can have the id "${cacheStepId}"`,
+        );
+    }
+    const key = [
+        '${{ runner.os }}',
+        `setup-${setupId}`,
+        ...inputs
+            .slice()
+            .sort()
+            .map(name => `\${{ setup.${name} }}`),
+        `\${{ hashFiles(${asList(cache.key_files)
+            .map(quote)
+            .join(', ')}) }}`,
+    ].join('-');
+    const restore /*: Step*/ = {
+        name: `Restore the ${setupId} cache`,
+        id: cacheStepId,
+        uses: 'actions/cache@v3',
+        with: {path: asList(cache.paths).join('\n'), key},
+    };
+    const miss = `setup.steps.${cacheStepId}.outputs.cache-hit != 'true'`;
+    const dependencies = setupList(setup.setup);
+    const withCheckout /*: SetupRefs*/ = [
+        'checkout',
+        ...dependencies.map(({id, args}) => (Object.keys(args).length ? {[id]: args} : id)),
+    ];
+    return {
+        ...rest,
+        setup: dependencies.some(({id}) => id === 'checkout') ? setup.setup : withCheckout,
+        steps: [restore, ...withoutSkips(setupId, steps, miss)],
+    };
+};
+
+module.exports = {expandCache};
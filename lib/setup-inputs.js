@@ -0,0 +1,147 @@
+// @flow
+/**
+ * Setups can declare `inputs`, which are passed as arguments wherever the
+ * setup is used, and referenced within its steps as `${{ setup.<input> }}`.
+ */
+
+/*::
+import type {Setup, SetupArgs, SetupRefs} from './workflow-preprocessor';
+
+type SetupRef = {id: string, args: SetupArgs};
+*/
+
+/**
+ * Setups can be referenced in a few different ways:
+ * - `setup: yarn`
+ * - `setup: [checkout, yarn]`
+ * - `setup: {node: {version: 18}}` (passing arguments to a setup's inputs)
+ * - `setup: [checkout, {node: {version: 18}}]`
+ *
+ * This normalizes all of them into a list of `{id, args}`.
+ */
+const setupList = (setup /*: ?SetupRefs */) /*:Array<SetupRef>*/ => {
+    if (!setup) {
+        return [];
+    }
+    const refs = [];
+    (Array.isArray(setup) ? setup : [setup]).forEach(item => {
+        if (typeof item === 'string') {
+            refs.push({id: item, args: {}});
+        } else {
+            Object.keys(item).forEach(id => refs.push({id, args: item[id] || {}}));
+        }
+    });
+    return refs;
+};
+
+const inputTypes = ['string', 'number', 'boolean'];
+
+/**
+ * Check the arguments passed to a setup against its declared `inputs`,
+ * filling in defaults. Inputs that are optional and have no default resolve
+ * to the empty string.
+ */
+const resolveSetupArgs = (
+    setupId /*:string*/,
+    setup /*:Setup*/,
+    args /*:SetupArgs*/,
+) /*:SetupArgs*/ => {
+    const inputs = Array.isArray(setup) ? {} : setup.inputs || {};
+    Object.keys(args).forEach(name => {
+        if (!(name in inputs)) {
+            throw new Error(`Unknown input "${name}" for setup ${setupId}`);
+        }
+    });
+    const resolved = {};
+    Object.keys(inputs)
+        .sort()
+        .forEach(name => {
+            const input = inputs[name] || {};
+            if (name === 'steps') {
+                throw new Error(
+                    `Setup ${setupId} can't have an input called "steps", as setup.steps ` +
+                        `refers to its own steps`,
+                );
+            }
+            if (input.type && !inputTypes.includes(input.type)) {
+                throw new Error(
+                    `Invalid type "${input.type}" for input "${name}" of setup ${setupId}`,
+                );
+            }
+            const value = args[name] != null ? args[name] : input.default;
+            if (value == null) {
+                if (input.required) {
+                    throw new Error(`Missing required input "${name}" for setup ${setupId}`);
+                }
+                resolved[name] = '';
+                return;
+            }
+            if (input.type && typeof value !== input.type) {
+                throw new Error(
+                    `Input "${name}" for setup ${setupId} must be a ${
+                        input.type
+                    }, got ${JSON.stringify(value)}`,
+                );
+            }
+            resolved[name] = value;
+        });
+    return resolved;
+};
+
+const setupInputRx = /\$\{\{\s*setup\.([\w-]+)\s*\}\}/g;
+
+// Apply `fn` to every string within `value`.
+const mapStrings = (value /*:any*/, fn /*:(text: string) => mixed*/) /*:any*/ => {
+    if (typeof value === 'string') {
+        return fn(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => mapStrings(item, fn));
+    }
+    if (value && typeof value === 'object') {
+        const res = {};
+        Object.keys(value).forEach(key => {
+            // Template comments are left as they were written.
+            res[key] = key === '__comments' ? value[key] : mapStrings(value[key], fn);
+        });
+        return res;
+    }
+    return value;
+};
+
+/**
+ * Replace `${{ setup.some-input }}` with the value of the input, in every
+ * string within `value`. If a string consists solely of the reference, the
+ * input's value is used as-is, so numbers and booleans keep their type.
+ */
+const substituteInputs = (value /*:any*/, setupId /*:string*/, args /*:SetupArgs*/) /*:any*/ => {
+    const lookup = name => {
+        if (!(name in args)) {
+            throw new Error(`Unknown input "${name}" referenced in setup ${setupId}`);
+        }
+        return args[name];
+    };
+    return mapStrings(value, text => {
+        const whole = text.match(/^\$\{\{\s*setup\.([\w-]+)\s*\}\}$/);
+        if (whole) {
+            return lookup(whole[1]);
+        }
+        return text.replace(setupInputRx, (_, name) => String(lookup(name)));
+    });
+};
+
+/**
+ * Replace `${{ setup.some-input }}` with `${{ inputs.some-input }}`, for
+ * setups that are compiled into composite actions.
+ */
+const inputsAsExpressions = (value /*:any*/) /*:any*/ =>
+    mapStrings(value, text => text.replace(setupInputRx, (_, name) => `$\{{ inputs.${name} }}`));
+
+module.exports = {
+    setupList,
+    inputTypes,
+    resolveSetupArgs,
+    mapStrings,
+    substituteInputs,
+    inputsAsExpressions,
+};
@@ -0,0 +1,173 @@
+// @flow
+/**
+ * Step ids need to be unique within a job, which is easy to get wrong once
+ * steps from several setups are spliced together, so compiled jobs are
+ * checked for duplicates.
+ *
+ * To avoid clashes, a setup can refer to its own steps as `setup.steps.<id>`
+ * (e.g. `${{ setup.steps.install.outputs.version }}`), anywhere in its steps.
+ * The steps that are referred to this way get the id `<setup>__<id>` instead,
+ * and the references are rewritten to match.
+ *
+ * When a job uses a setup with more than one set of arguments, its steps
+ * would be added once for each set, so all of their ids are namespaced, by
+ * the setup and its arguments (like `node_version_16__install`). Otherwise
+ * the ids that aren't referred to as `setup.steps.<id>` are left alone, so
+ * that the job's own steps can refer to them.
+ */
+const {mapStrings} = require('./setup-inputs');
+
+/*::
+import type {Node, Provenance, Setup, SetupArgs, Step} from './workflow-preprocessor';
+*/
+
+const localStepRx = /\bsetup\.steps\.([\w-]+)/g;
+// References to steps, as `setup.steps.<id>` or `steps.<id>`
+const stepRefRx = /\b(setup\.)?steps\.([\w-]+)/g;
+
+const namespaceSeparator = '__';
+
+/**
+ * The namespace for the steps of a setup that's used with `args`. A job can
+ * use a setup with several sets of arguments, so each set gets its own
+ * namespace, like `node_version_16__`.
+ */
+const stepNamespace = (setupId /*: string*/, args /*: SetupArgs*/) /*: string*/ =>
+    [setupId]
+        .concat(
+            Object.keys(args)
+                .sort()
+                .map(name => `${name}_${String(args[name])}`),
+        )
+        .join('_')
+        .replace(/[^\w-]/g, '_') + namespaceSeparator;
+
+/**
+ * Give the steps that a setup refers to as `setup.steps.<id>` the id
+ * `<namespace><id>`, rewriting the references to `steps.<namespace><id>`.
+ * With `allIds`, every step that has an id is namespaced (and the setup's
+ * own `steps.<id>` references to them are rewritten too), which is needed
+ * for setups that can be used more than once in a job.
+ */
+const namespaceStepIds = (
+    setupId /*: string*/,
+    setup /*: Setup*/,
+    namespace /*: string*/,
+    allIds /*: boolean*/ = false,
+) /*: Setup*/ => {
+    const lists = Array.isArray(setup) ? [setup] : [setup.steps || [], setup.post || []];
+    const ids = []
+        .concat(...lists)
+        .map(step => step.id)
+        .filter(Boolean);
+    const referenced = {};
+    mapStrings(lists, text =>
+        text.replace(localStepRx, (match, id) => {
+            referenced[id] = true;
+            return match;
+        }),
+    );
+    Object.keys(referenced).forEach(id => {
+        if (!ids.includes(id)) {
+            throw new Error(
+                `Setup ${setupId} refers to setup.steps.${id}, but none of its steps has that id`,
+            );
+        }
+    });
+    const renamed = allIds ? ids : Object.keys(referenced);
+    if (!renamed.length) {
+        return setup;
+    }
+    const rewrite = (steps /*: Array<Step>*/) /*: Array<Step>*/ =>
+        steps.map(step => {
+            const copy = mapStrings(step, text =>
+                text.replace(
+                    stepRefRx,
+                    (match, local, id) =>
+                        local || renamed.includes(id) ? `steps.${namespace}${id}` : match,
+                ),
+            );
+            if (step.id && renamed.includes(step.id)) {
+                copy.id = namespace + step.id;
+            }
+            return copy;
+        });
+    if (Array.isArray(setup)) {
+        return rewrite(setup);
+    }
+    const result = {...setup, steps: rewrite(setup.steps || [])};
+    if (setup.post) {
+        result.post = rewrite(setup.post);
+    }
+    return result;
+};
+
+/**
+ * Namespace all of the step ids of the setups that a job uses with more than
+ * one set of arguments. `unnamespaced` has each setup node's setup as it was
+ * before `namespaceStepIds`.
+ */
+const namespaceRepeatedSetups = (
+    nodes /*: {[key: string]: Node}*/,
+    unnamespaced /*: {[key: string]: Setup}*/,
+) => {
+    const keysBySetup = {};
+    Object.keys(unnamespaced).forEach(key => {
+        const contents = nodes[key].contents;
+        if (contents.type === 'setup') {
+            keysBySetup[contents.setupId] = (keysBySetup[contents.setupId] || []).concat([key]);
+        }
+    });
+    Object.keys(keysBySetup)
+        .filter(setupId => keysBySetup[setupId].length > 1)
+        .forEach(setupId =>
+            keysBySetup[setupId].forEach(key => {
+                const contents = nodes[key].contents;
+                if (contents.type === 'setup') {
+                    contents.setup = namespaceStepIds(
+                        setupId,
+                        unnamespaced[key],
+                        stepNamespace(setupId, contents.args),
+                        true,
+                    );
+                }
+            }),
+        );
+};
+
+const describeStep = (step /*: Step*/, origin /*: ?Provenance*/) => {
+    const what =
+        origin && origin.setup
+            ? `setup ${origin.setup}`
+            : `step "${step.name || step.uses || step.run || ''}"`;
+    return origin && origin.source ? `${what} (${origin.source})` : what;
+};
+
+/**
+ * Check that no two steps of a compiled job have the same id.
+ */
+const checkStepIds = (steps /*: Array<Step>*/, provenance /*: Array<Provenance>*/) => {
+    const seen = {};
+    steps.forEach((step, i) => {
+        const id = step.id;
+        if (!id) {
+            return;
+        }
+        if (seen[id] != null) {
+            const first = seen[id];
+            const fromSetup = [provenance[first], provenance[i]].some(
+                origin => origin && origin.setup,
+            );
+            throw new Error(
+                `Step id "${id}" is used by both ${describeStep(steps[first], provenance[first])}` +
+                    ` and ${describeStep(step, provenance[i])}` +
+                    (fromSetup
+                        ? '. Setups can refer to their steps as setup.steps.<id> to namespace them.'
+                        : ''),
+            );
+        }
+        seen[id] = i;
+    });
+};
+
+module.exports = {stepNamespace, namespaceStepIds, namespaceRepeatedSetups, checkStepIds};
@@ -0,0 +1,84 @@
+// @flow
+/**
+ * Templates (and the files they include) can define `vars`, which are
+ * substituted wherever `${{ tmpl.<name> }}` appears in a string when the
+ * workflow is compiled, so that things like a node version or a bot's
+ * username can be defined in one place. As with setup inputs, a string that
+ * consists solely of the reference gets the variable's value as-is.
+ *
+ * `make-workflows --var name=value` overrides a variable. The value is
+ * converted to the type of the variable that it overrides, so that a
+ * number stays a number (e.g. for a setup input with `type: number`).
+ */
+const {mapStrings} = require('./setup-inputs');
+
+/*::
+import type {Workflow} from './workflow-preprocessor';
+
+export type Vars = {[name: string]: string | number | boolean};
+*/
+
+const varRx = /\$\{\{\s*tmpl\.([\w-]+)\s*\}\}/g;
+
+// An override (from the command line) as the type of the variable it replaces.
+const coerceOverride = (name /*: string*/, value, original) => {
+    if (typeof value !== 'string' || typeof original === 'string' || original == null) {
+        return value;
+    }
+    if (typeof original === 'number') {
+        const number = Number(value);
+        if (value.trim() === '' || isNaN(number)) {
+            throw new Error(`The var "${name}" is a number, so it can't be set to "${value}"`);
+        }
+        return number;
+    }
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(`The var "${name}" is true or false, so it can't be set to "${value}"`);
+    }
+    return value === 'true';
+};
+
+/**
+ * Substitute a workflow's `vars` (with any `overrides`), returning the
+ * workflow without them. Referring to a variable that isn't defined is an
+ * error.
+ */
+const substituteVars = (workflow /*: Workflow*/, overrides /*: Vars*/ = {}) /*: Workflow*/ => {
+    const vars = {...workflow.vars};
+    Object.keys(overrides).forEach(name => {
+        vars[name] = coerceOverride(name, overrides[name], vars[name]);
+    });
+    const lookup = name => {
+        if (!(name in vars)) {
+            const names = Object.keys(vars);
+            throw new Error(
+                `Unknown template variable "${name}" (${
+                    names.length ? `the vars are: ${names.join(', ')}` : 'there are no vars'
+                })`,
+            );
+        }
+        return vars[name];
+    };
+    const result = {...workflow};
+    delete result.vars;
+    return mapStrings(result, text => {
+        const whole = text.match(/^\$\{\{\s*tmpl\.([\w-]+)\s*\}\}$/);
+        if (whole) {
+            return lookup(whole[1]);
+        }
+        return text.replace(varRx, (_, name) => String(lookup(name)));
+    });
+};
+
+/**
+ * Parse the `name=value` of a `--var` option.
+ */
+const parseVar = (assignment /*: string*/) /*: [string, string]*/ => {
+    const match = assignment.match(/^([\w-]+)=([^]*)$/);
+    if (!match) {
+        throw new Error(`Expected --var name=value, got "${assignment}"`);
+    }
+    return [match[1], match[2]];
+};
+
+module.exports = {substituteVars, parseVar};
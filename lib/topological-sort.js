@@ -0,0 +1,83 @@
+// @flow
+const {nodeLabel} = require('./graph');
+
+/*::
+import type {Node} from './workflow-preprocessor';
+*/
+
+/**
+ * Describe a cycle among the nodes that `kahnsAlgorithm` couldn't sort,
+ * starting from one of them, as `a -> b -> a` where each needs the next.
+ * Every one of those nodes needs another one of them, so following what
+ * they need must lead to a cycle.
+ */
+const findCycle = (nodes /*:{[key: string]: Node} */, start /*: string*/) => {
+    const path = [];
+    let id = start;
+    while (!path.includes(id)) {
+        path.push(id);
+        id = Object.keys(nodes[id].before)[0];
+    }
+    return path
+        .slice(path.indexOf(id))
+        .concat([id])
+        .map(nodeId => nodeLabel(nodes[nodeId]))
+        .join(' -> ');
+};
+
+/// https://en.wikipedia.org/wiki/Topological_sorting#Algorithms
+/**
+ * This is a "topological sort" algorithm, that allows us to take a graph (in
+ * this case, of "steps", "setups", "paths" and the dependencies between them),
+ * and find a linearization that respects all of the dependencies.
+ *
+ * e.g.
+ * A depends on B
+ * B depends on C
+ * A depends on D
+ * C depends on D
+ * C depends on E
+ *
+ * could give us A, B, C, D, E as a valid linearization.
+ */
+const kahnsAlgorithm = (nodes /*:{[key: string]: Node} */) /*: Array<string>*/ => {
+    // L ← Empty list that will contain the sorted elements
+    // S ← Set of all nodes with no incoming edge
+    // while S is non-empty do
+    //     remove a node n from S
+    //     add n to tail of L
+    //     for each node m with an edge e from n to m do
+    //         remove edge e from the graph
+    //         if m has no other incoming edges then
+    //             insert m into S
+    // if graph has edges then
+    //     return error   (graph has at least one cycle)
+    // else
+    //     return L   (a topologically sorted order)
+    // const edges = {...inputEdges};
+    const L = [];
+    const S = [];
+    for (const id of Object.keys(nodes)) {
+        if (Object.keys(nodes[id].before).length === 0) {
+            S.push(id);
+        }
+    }
+    while (S.length) {
+        const nodeId = S.shift();
+        L.push(nodeId);
+        for (const afterId of Object.keys(nodes[nodeId].after)) {
+            delete nodes[nodeId].after[afterId];
+            delete nodes[afterId].before[nodeId];
+            if (Object.keys(nodes[afterId].before).length === 0) {
+                S.push(afterId);
+            }
+        }
+    }
+    const remaining = Object.keys(nodes).filter(id => Object.keys(nodes[id].before).length);
+    if (remaining.length) {
+        throw new Error(`Cycle in setup dependencies: ${findCycle(nodes, remaining[0])}`);
+    }
+    return L;
+};
+
+module.exports = {kahnsAlgorithm};
@@ -1,6 +1,11 @@
 // @flow
+const fs = require('fs');
 const {spawn} = require('child_process');
 
+/*::
+export type WriteStatus = 'unchanged' | 'updated' | 'created';
+*/
+
 const countInstances = (rx, text /*:string*/) => {
     let num = 0;
     text.replace(rx, () => {
@@ -50,6 +55,45 @@ const runProcess = (
     });
 };
 
+/**
+ * Write a file, unless it already has the given contents, so that editors and
+ * watchers aren't disturbed by files that haven't really changed.
+ */
+const writeIfChanged = (file /*: string*/, contents /*: string*/) /*: WriteStatus*/ => {
+    if (!fs.existsSync(file)) {
+        fs.writeFileSync(file, contents);
+        return 'created';
+    }
+    if (fs.readFileSync(file, 'utf8') === contents) {
+        return 'unchanged';
+    }
+    fs.writeFileSync(file, contents);
+    return 'updated';
+};
+
+/**
+ * A copy of `object` with `values` set, where the keys that it doesn't have
+ * yet are added just before `key`, so that generated keys go where they
+ * would in a hand-written file.
+ */
+const insertBefore = (
+    object /*: {[key: string]: any}*/,
+    key /*: string*/,
+    values /*: {[key: string]: any}*/,
+) /*: {[key: string]: any}*/ => {
+    const added = Object.keys(values).filter(name => !(name in object));
+    const result = {};
+    Object.keys(object).forEach(name => {
+        if (name === key) {
+            added.forEach(newName => (result[newName] = values[newName]));
+        }
+        result[name] = name in values ? values[name] : object[name];
+    });
+    return {...result, ...values};
+};
+
 module.exports = {
     runProcess,
+    writeIfChanged,
+    insertBefore,
 };
@@ -0,0 +1,214 @@
+// @flow
+/**
+ * Validation of workflow templates (and the files they include) against
+ * `schema/workflow-template.schema.json`, so that typos like `setps:` or
+ * `bail-if:` are caught instead of silently ending up in the generated
+ * workflow.
+ *
+ * This implements just the parts of JSON Schema that our schema uses: `type`,
+ * `enum`, `properties`, `additionalProperties`, `required`, `items`, `anyOf`
+ * and local `$ref`s.
+ */
+const {loadWithPositions} = require('./yaml-positions');
+const schema = require('../schema/workflow-template.schema.json');
+
+/*::
+type Schema = {[key: string]: any};
+type SchemaError = {path: Array<string | number>, key?: boolean, message: string};
+import type {Located} from './yaml-positions';
+*/
+
+const typeOf = (value /*:mixed*/) => {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+};
+
+const typeMatches = (value, type /*:string*/) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const resolveRef = (root /*:Schema*/, node /*:Schema*/) /*:Schema*/ => {
+    while (node.$ref) {
+        const parts = node.$ref
+            .replace(/^#\//, '')
+            .split('/')
+            .filter(Boolean);
+        node = parts.reduce((current, part) => current[part], root);
+    }
+    return node;
+};
+
+/**
+ * Damerau-Levenshtein distance (with adjacent transpositions), used to
+ * suggest what an unknown key was meant to be.
+ */
+const editDistance = (a /*:string*/, b /*:string*/) => {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+        d[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+};
+
+const suggest = (key /*:string*/, options /*:Array<string>*/) /*:?string*/ => {
+    const normalized = key.toLowerCase().replace(/[-_]/g, '');
+    let best = null;
+    let bestDistance = Infinity;
+    options.forEach(option => {
+        const distance = editDistance(normalized, option.toLowerCase().replace(/[-_]/g, ''));
+        if (distance < bestDistance) {
+            best = option;
+            bestDistance = distance;
+        }
+    });
+    return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+};
+
+const describeTypes = (types /*:Array<string>*/) =>
+    (/^[aeiou]/.test(types[0]) ? 'an ' : 'a ') +
+    (types.length === 1
+        ? types[0]
+        : types.slice(0, -1).join(', ') + ' or ' + types[types.length - 1]);
+
+const validateValue = (
+    root /*:Schema*/,
+    node /*:Schema*/,
+    value /*:any*/,
+    path /*:Array<string | number>*/,
+) /*:Array<SchemaError>*/ => {
+    node = resolveRef(root, node);
+    if (node.anyOf) {
+        const results = node.anyOf.map(option => validateValue(root, option, value, path));
+        if (results.some(errors => !errors.length)) {
+            return [];
+        }
+        // Report the errors of the first option that at least has the right
+        // type, as it's most likely the one that was intended.
+        const index = node.anyOf.findIndex(option => {
+            const resolved = resolveRef(root, option);
+            const types = [].concat(resolved.type || []);
+            return types.some(type => typeMatches(value, type));
+        });
+        if (index !== -1) {
+            return results[index];
+        }
+        const types = [];
+        node.anyOf.forEach(option => {
+            [].concat(resolveRef(root, option).type || []).forEach(type => {
+                if (!types.includes(type)) {
+                    types.push(type);
+                }
+            });
+        });
+        return [{path, message: `should be ${describeTypes(types)}`}];
+    }
+    if (node.enum && !node.enum.includes(value)) {
+        return [
+            {
+                path,
+                message: `should be one of ${node.enum
+                    .map(item => JSON.stringify(item))
+                    .join(', ')}`,
+            },
+        ];
+    }
+    if (node.type) {
+        const types = [].concat(node.type);
+        if (!types.some(type => typeMatches(value, type))) {
+            return [{path, message: `should be ${describeTypes(types)}`}];
+        }
+    }
+    const errors = [];
+    if (Array.isArray(value) && node.items) {
+        value.forEach((item, i) => {
+            errors.push(...validateValue(root, node.items, item, path.concat([i])));
+        });
+    }
+    if (typeOf(value) === 'object') {
+        const properties = node.properties || {};
+        (node.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({path, message: `is missing required key "${key}"`});
+            }
+        });
+        Object.keys(value).forEach(key => {
+            const keyPath = path.concat([key]);
+            if (properties[key]) {
+                errors.push(...validateValue(root, properties[key], value[key], keyPath));
+            } else if (node.additionalProperties === false) {
+                const suggestion = suggest(key, Object.keys(properties));
+                errors.push({
+                    path: keyPath,
+                    key: true,
+                    message:
+                        `unknown key "${key}"` +
+                        (suggestion ? `, did you mean "${suggestion}"?` : ''),
+                });
+            } else if (node.additionalProperties && node.additionalProperties !== true) {
+                errors.push(...validateValue(root, node.additionalProperties, value[key], keyPath));
+            }
+        });
+    }
+    return errors;
+};
+
+const validate = (value /*:mixed*/, rootSchema /*:Schema*/ = schema) =>
+    validateValue(rootSchema, rootSchema, value, []);
+
+/**
+ * Parse a template (or included file), throwing a single error listing
+ * everything that doesn't match the schema, as `file:line:column: message`.
+ * The result can also `locate` where in the file things came from.
+ */
+const loadLocatedTemplate = (raw /*:string*/, filename /*:string*/) /*:Located*/ => {
+    let loaded;
+    try {
+        loaded = loadWithPositions(raw);
+    } catch (err) {
+        throw new Error(`${filename}: ${err.message}`);
+    }
+    const {data, locate} = loaded;
+    const errors = validate(data);
+    if (errors.length) {
+        throw new Error(
+            `Invalid workflow template:\n` +
+                errors
+                    .map(({path, key, message}) => {
+                        const position = locate(path, key) || {line: 1, column: 1};
+                        const where = (key ? path.slice(0, -1) : path).join('.');
+                        return (
+                            `${filename}:${position.line}:${position.column}: ${message}` +
+                            (where ? ` (at ${where})` : '')
+                        );
+                    })
+                    .join('\n'),
+        );
+    }
+    return loaded;
+};
+
+const loadTemplate = (raw /*:string*/, filename /*:string*/) /*:any*/ =>
+    loadLocatedTemplate(raw, filename).data;
+
+module.exports = {validate, loadTemplate, loadLocatedTemplate, suggest};
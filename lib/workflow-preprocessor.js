@@ -9,12 +9,74 @@
  *
  * This allows you to re-use steps between jobs and workflows!
  *
+ * ## Parameterized setups
+ *
+ * A setup can declare `inputs` (with a `type`, `default` and `required`),
+ * which are substituted into its steps wherever `${{ setup.<input> }}`
+ * appears. Using the same setup with different arguments results in
+ * separate steps, while identical arguments are only set up once.
+ *
+ * ## Template variables
+ *
+ * `vars` are substituted wherever `${{ tmpl.<name> }}` appears, when the
+ * workflow is compiled (see `template-vars.js`).
+ *
+ * ## Job templates
+ *
+ * Jobs can `extends` one of the `job_templates`, sharing its settings, setups
+ * and steps (see `job-templates.js`).
+ *
+ * ## Namespaced step ids
+ *
+ * Setups can refer to their own steps as `setup.steps.<id>`, which gives
+ * those steps ids that can't clash with any other setup's (see `step-ids.js`).
+ *
+ * ## Setups as composite actions
+ *
+ * With `setup-actions: true` at the top of a template, setups with more than
+ * one step are compiled into local composite actions, instead of being
+ * inlined into every job that uses them (see `setup-actions.js`).
+ *
+ * ## Post steps
+ *
+ * Setups can have `post` steps to clean up after themselves, which run at the
+ * end of the job (even if it failed) in the reverse order of the setups, as
+ * long as the setup itself ran.
+ *
+ * ## Caches
+ *
+ * A setup with a `cache` gets an `actions/cache` step before its own steps,
+ * which are skipped on an exact hit (see `setup-cache.js`).
+ *
  * ## Paths support for individual steps!
  *
  * This allows you conditionally run steps based on the files that you've
  * changed. And the path configuration applies transitively to any setup
  * dependencies, keeping things as streamlined as possible.
  *
+ * Patterns starting with `!` exclude files matched by earlier patterns, and
+ * `paths-ignore` excludes files from consideration altogether, both matching
+ * the semantics of github's `on.paths`. Setups can have `paths` and
+ * `paths-ignore` as well, which further restrict when their steps run.
+ * See `glob.js` for the supported pattern syntax.
+ *
+ * Steps' `if` conditions are propagated to their setups the same way, so a
+ * setup only runs when at least one of the steps that need it will. Only
+ * conditions that can be evaluated up front are propagated, and not ones that
+ * depend on `steps`, `job`, `env` or the status of earlier steps.
+ *
+ * All of a job's paths are checked by a single `changes` step, which computes
+ * the diff once and sets an output for each distinct set of patterns.
+ *
+ * Whole jobs can have `paths` and `paths-ignore` too, in which case they're
+ * skipped entirely (without allocating a runner) when nothing relevant
+ * changed. The checks are done by a generated `changes` job.
+ *
+ * ## Provenance
+ *
+ * Each generated step is commented with where it came from (see
+ * `provenance.js`), and `make-workflows explain` shows why a step is there.
+ *
  * ## Bail early, without failing the job!
  *
  * Say you want to only run a job if a certain condition matches, that's more
@@ -31,9 +93,17 @@
  *     steps:
  *     - name: hello
  *       run: echo "hello"
+ *   node:
+ *     inputs:
+ *       version: {type: number, default: 18}
+ *     steps:
+ *     - uses: actions/setup-node@v3
+ *       with:
+ *         node-version: ${{ setup.version }}
  *
  * jobs:
  *   some-job:
+ *     paths: [Gemfile, app/**]     ## the whole job is skipped otherwise
  *     setup: [install-ruby-gems] ## a job dependency!
  *     steps:
  *     - name: should happen every time
@@ -43,6 +113,10 @@
  *     - name: only if javascript files are modified
  *       paths: *.js              ## this step only happens if js files changed
  *       setup: [node]            ## same with this setup step!
+ *     - name: unless only docs changed
+ *       paths-ignore: docs/**    ## runs if any non-docs files changed
+ *     - name: on an older node
+ *       setup: {node: {version: 16}}  ## passing arguments to a setup
  * ```
  */
 
@@ -50,114 +124,26 @@ const yaml = require('js-yaml');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
-
-const setupList = (setup /*: ?(string | Array<string>) */) /*:Array<string>*/ =>
-    setup ? (Array.isArray(setup) ? setup : [setup]) : [];
-
-/// https://en.wikipedia.org/wiki/Topological_sorting#Algorithms
-/**
- * This is a "topological sort" algorithm, that allows us to take a graph (in
- * this case, of "steps", "setups", "paths" and the dependencies between them),
- * and find a linearization that respects all of the dependencies.
- *
- * e.g.
- * A depends on B
- * B depends on C
- * A depends on D
- * C depends on D
- * C depends on E
- *
- * could give us A, B, C, D, E as a valid linearization.
- */
-const kahnsAlgorithm = (nodes /*:{[key: string]: Node} */) /*: Array<string>*/ => {
-    // L ← Empty list that will contain the sorted elements
-    // S ← Set of all nodes with no incoming edge
-    // while S is non-empty do
-    //     remove a node n from S
-    //     add n to tail of L
-    //     for each node m with an edge e from n to m do
-    //         remove edge e from the graph
-    //         if m has no other incoming edges then
-    //             insert m into S
-    // if graph has edges then
-    //     return error   (graph has at least one cycle)
-    // else
-    //     return L   (a topologically sorted order)
-    // const edges = {...inputEdges};
-    const L = [];
-    const S = [];
-    for (const id of Object.keys(nodes)) {
-        if (Object.keys(nodes[id].before).length === 0) {
-            S.push(id);
-        }
-    }
-    while (S.length) {
-        const nodeId = S.shift();
-        L.push(nodeId);
-        for (const afterId of Object.keys(nodes[nodeId].after)) {
-            delete nodes[nodeId].after[afterId];
-            delete nodes[afterId].before[nodeId];
-            if (Object.keys(nodes[afterId].before).length === 0) {
-                S.push(afterId);
-            }
-        }
-    }
-    const edgesLeft = [];
-    for (const nodeId of Object.keys(nodes)) {
-        const afterIds = Object.keys(nodes[nodeId].after);
-        if (afterIds.length) {
-            afterIds.forEach(id => edgesLeft.push(`${nodeId}:${id}`));
-        }
-    }
-    if (edgesLeft.length) {
-        throw new Error(`Cycle in setup dependencies: ${edgesLeft.join(', ')}`);
-    }
-    return L;
-};
-
-/**
- * This creates a step that will check to see if any of the "paths" patterns
- * are matched by changed files. It attempts to support a subset of minimatch
- * syntax, but that is not guaranteed. You should check the outputted regex
- * to ensure that it's doing what you expect.
- *
- * The translation is:
- * - `**` or `**` + `/*` -> `.*`
- * - `*` -> `[^\/]*`
- */
-const compilePaths = (id /*:string*/, paths /*:Array<string>*/) /*: Step*/ => {
-    return {
-        id,
-        name: 'Check paths: ' + paths.join(', '),
-        run:
-            paths
-                .map(pattern => {
-                    pattern = pattern.replace(/\./g, '\\.').replace(/(\*\*\/\*)|\*+/g, matched => {
-                        if (matched === '**/*') {
-                            return '.*';
-                        } else if (matched.length === 1) {
-                            return `[^/]*`;
-                        } else if (matched.length === 2) {
-                            return `.*`;
-                        } else {
-                            throw new Error(
-                                `Invalid pattern: ${pattern} - only * and ** replacements are supported`,
-                            );
-                        }
-                    });
-                    return `BASE=$\{GITHUB_BASE_REF:-HEAD~1}
-if [[ -n $(git diff --name-only refs/remotes/origin/$BASE --relative | grep '^${pattern}$') ]]
-then
-echo "changed=true" >> $GITHUB_OUTPUT
-exit 0
-fi`;
-                })
-                .join('\n\n') +
-            `
-echo "changed=false" >> $GITHUB_OUTPUT
-exit 0`,
-    };
-};
+const {pathPatterns, compileChanges, changesScript, makePathsIds} = require('./paths');
+const {loadLocatedTemplate} = require('./validate');
+const {dumpWithProvenance, tagSources} = require('./provenance');
+const {tagComments} = require('./comments');
+const {combineIncludes, resolveIncludes} = require('./includes');
+const {setupList, resolveSetupArgs, substituteInputs} = require('./setup-inputs');
+const {actionsDir, isActionSetup, compositeAction, useAction} = require('./setup-actions');
+const {
+    stepNamespace,
+    namespaceStepIds,
+    namespaceRepeatedSetups,
+    checkStepIds,
+} = require('./step-ids');
+const {kahnsAlgorithm} = require('./topological-sort');
+const {nodeLabel, snapshotGraph} = require('./graph');
+const {applyJobTemplates} = require('./job-templates');
+const {substituteVars} = require('./template-vars');
+const {expandCache} = require('./setup-cache');
+const {processBailUnless, bailsBefore} = require('./bail-if');
+const {writeIfChanged, insertBefore} = require('./utils');
 
 const addEdge = (ctx, parentKey, childKey) => {
     ctx.nodes[parentKey].before[childKey] = true;
@@ -165,38 +151,87 @@ const addEdge = (ctx, parentKey, childKey) => {
 };
 
 /*::
+import type {PathsGroup} from './paths';
+
+export type SetupArgs = {[key: string]: string | number | boolean};
+export type SetupRefs =
+    | string
+    | {[key: string]: ?SetupArgs}
+    | Array<string | {[key: string]: ?SetupArgs}>;
 
 export type Job = {
     'runs-on': string,
-    setup?: string | Array<string>,
+    if?: string | boolean,
+    needs?: string | Array<string>,
+    outputs?: {[key: string]: string},
+    setup?: SetupRefs,
+    paths?: Array<string> | string,
+    'paths-ignore'?: Array<string> | string,
     steps: Array<Step>,
+    // The job template that this extends (see `job-templates.js`)
+    extends?: string,
+    steps_strategy?: 'prepend' | 'append',
+    __comments?: Array<string>,
 }
+export type PathFilters = {
+    paths?: Array<string> | string,
+    'paths-ignore'?: Array<string> | string,
+}
+
 export type Step = {
     id?: string,
     local?: boolean,
-    setup?: string | Array<string>,
+    setup?: SetupRefs,
     paths?: Array<string> | string,
+    'paths-ignore'?: Array<string> | string,
     uses?: string,
     with?: {[key: string]: string},
-    if?: string,
+    if?: string | boolean,
     bail_if?: string,
+    // See `setup-cache.js`
+    skip_on_cache_hit?: boolean,
     local_env_flag?: string,
     local_cache_directory?: string,
+    // Where the step was defined (`file:line`), added when loading templates
+    __source?: string,
+    // The comments just above the step in the template (see `comments.js`)
+    __comments?: Array<string>,
     run?: string,
+    shell?: string,
     name: string,
     'working-directory'?: string,
 }
 
+export type SetupInput = {
+    description?: string,
+    type?: 'string' | 'number' | 'boolean',
+    default?: string | number | boolean,
+    required?: boolean,
+}
+
 export type Setup = Array<Step> | {
-    setup?: string | Array<string>,
+    inputs?: {[key: string]: ?SetupInput},
+    setup?: SetupRefs,
+    paths?: Array<string> | string,
+    'paths-ignore'?: Array<string> | string,
     steps: Array<Step>,
+    post?: Array<Step>,
+    // See `setup-cache.js`
+    cache?: {paths: Array<string> | string, key_files: Array<string> | string},
 }
 
 export type Workflow = {
     name: string,
     include?: Array<string>,
+    env?: {[key: string]: string | number | boolean},
+    defaults?: {[key: string]: mixed},
+    vars?: {[key: string]: string | number | boolean},
     setup?: {[key: string]: Setup},
-    on?: Array<string> | {[key: string]: {paths?: Array<string>}},
+    job_templates?: {[key: string]: $Shape<Job>},
+    on?: Array<string> | {[key: string]: PathFilters},
+    'setup-actions'?: boolean,
+    // The comments above each top-level key of the template
+    __comments?: {[key: string]: Array<string>},
     jobs: {
         [key: string]: Job
     }
@@ -211,166 +246,301 @@ type NodeContent = {
     step: Step,
 } | {
     type: 'setup',
+    setupId: string,
+    args: SetupArgs,
+    name: string,
     setup: Setup,
 }
-type Node = {|
+// A consumer's reason for running: some paths changing, and/or an `if`.
+type Condition = {paths: ?string, if: ?string};
+export type Node = {|
     id: string,
     contents: NodeContent,
-    pathDeps: ?{[key: string]: boolean},
+    // The node runs if any of these hold, or always if there are none.
+    conditions: ?{[key: string]: Condition},
+    ownPaths: ?string,
+    source: ?string,
+    comments: ?Array<string>,
+    consumers: Array<string>,
     before: {[key: string]: true},
     after: {[key: string]: true},
 |};
 type Context = {
     nodes: {[key: string]: Node},
     setupSteps: SetupSteps,
+    // The setups that have been compiled into actions, if we're doing that
+    actions: ?Actions,
+    // Each setup node's setup, before its step ids were namespaced
+    unnamespaced: {[key: string]: Setup},
 }
+export type Actions = {[setupId: string]: CompositeAction};
+import type {CompositeAction} from './setup-actions';
+import type {Graph} from './graph';
+
+// What caused a setup to be included: a step, another setup, or the job.
+export type Via = {label: string, source: ?string, via: Array<Via>};
+export type Provenance = {
+    source: ?string,
+    setup?: string,
+    generated?: ?string,
+    via: Array<Via>,
+    // The conditions under which any of the consumers run, if they all have some
+    when: ?Array<{paths: ?Array<string>, if: ?string}>,
+    // A setup's own paths, which need to match as well
+    ownPaths: ?Array<string>,
+    // The step's comments in the template
+    comments?: ?Array<string>,
+};
 */
 
-const addNode = (ctx /*: Context*/, id, contents /*:NodeContent*/, pathIds /*:Array<string>*/) => {
+const conditionKey = (condition /*: Condition*/) =>
+    `${condition.paths || ''}#${condition.if || ''}`;
+
+const addNode = (
+    ctx /*: Context*/,
+    id,
+    contents /*:NodeContent*/,
+    conditions /*:Array<Condition>*/,
+) => {
     if (ctx.nodes[id]) {
         return;
     }
-    let pathDeps = null;
-    if (pathIds.length) {
-        const deps = {};
-        pathIds.forEach(id => (deps[id] = true));
-        pathDeps = deps;
+    let conditionMap = null;
+    if (conditions.length) {
+        const map = {};
+        conditions.forEach(condition => (map[conditionKey(condition)] = condition));
+        conditionMap = map;
     }
     ctx.nodes[id] = {
         id,
         contents,
-        pathDeps,
+        conditions: conditionMap,
+        ownPaths: null,
+        source: null,
+        comments: null,
+        consumers: [],
         before: {},
         after: {},
     };
-    pathIds.forEach(pathId => addEdge(ctx, id, pathId));
+    conditions.forEach(({paths}) => paths && addEdge(ctx, id, paths));
 };
 
-const processSetup = (ctx, parentKey, setup /*:?(string|Array<string>)*/, pathIds) => {
-    setupList(setup).forEach(id => {
-        const childKey = addSetup(ctx, id, pathIds);
+/**
+ * `consumer` is what gets reported as having pulled in the setups (see
+ * `provenance.js`), which is usually the parent, except for job-level setups.
+ */
+const processSetup = (
+    ctx,
+    parentKey,
+    setup /*:?SetupRefs*/,
+    conditions,
+    consumer /*:string*/ = parentKey,
+) => {
+    setupList(setup).forEach(({id, args}) => {
+        const childKey = addSetup(ctx, id, args, conditions);
         addEdge(ctx, parentKey, childKey);
+        if (!ctx.nodes[childKey].consumers.includes(consumer)) {
+            ctx.nodes[childKey].consumers.push(consumer);
+        }
     });
 };
 
-const addPaths = (ctx /*: Context*/, paths /*: string | Array<string> */) => {
-    paths = typeof paths === 'string' ? [paths] : paths.slice();
-    paths.sort();
+const pathsOf = (node /*:Node*/) => (node.contents.type === 'paths' ? node.contents.paths : []);
+
+const consumerChain = (ctx /*: Context*/, key, visited) /*: Array<Via>*/ =>
+    ctx.nodes[key].consumers.map(consumer => {
+        if (consumer === 'job') {
+            return {label: 'job', source: null, via: []};
+        }
+        const node = ctx.nodes[consumer];
+        const contents = node.contents;
+        const label = nodeLabel(node);
+        // Setups can't be in a cycle by the time we get here, but better safe
+        // than sorry.
+        const via =
+            contents.type === 'setup' && !visited[consumer]
+                ? consumerChain(ctx, consumer, {...visited, [consumer]: true})
+                : [];
+        return {label, source: node.source, via};
+    });
+
+const addPaths = (ctx /*: Context*/, paths /*: Array<string> */) => {
+    // Order matters once there are negative patterns, so we can't sort these.
     const pathsId = `paths-` + paths.join('#');
     addNode(ctx, pathsId, {type: 'paths', paths}, []);
     return pathsId;
 };
 
-const propagatePaths = (ctx, key, pathIds) => {
-    if (!pathIds.length) {
+const propagateConditions = (ctx, key, conditions /*:Array<Condition>*/, visited = {}) => {
+    // Dependency cycles are reported by `kahnsAlgorithm`, we just need to
+    // not loop forever here.
+    if (visited[key]) {
+        return;
+    }
+    visited[key] = true;
+    if (!conditions.length) {
         // If this node is being included unconditionally, remove any conditions.
-        ctx.nodes[key].pathDeps = null;
+        ctx.nodes[key].conditions = null;
     } else {
-        const pathDeps = ctx.nodes[key].pathDeps;
-        if (pathDeps) {
-            pathIds.forEach(pathId => {
-                pathDeps[pathId] = true;
-                addEdge(ctx, key, pathId);
+        const existing = ctx.nodes[key].conditions;
+        if (existing) {
+            conditions.forEach(condition => {
+                existing[conditionKey(condition)] = condition;
+                if (condition.paths) {
+                    addEdge(ctx, key, condition.paths);
+                }
             });
         }
     }
     Object.keys(ctx.nodes[key].before).forEach(key => {
-        propagatePaths(ctx, key, pathIds);
+        propagateConditions(ctx, key, conditions, visited);
     });
 };
 
-const addSetup = (ctx /*: Context*/, setupId, pathIds) => {
-    const key = `setup-${setupId}`;
-    if (key === 'setup-checkout') {
-        pathIds = [];
+// Strip the optional `${{ }}` around an `if`.
+const normalizeIf = (iff /*:string*/) => {
+    const match = iff.match(/^\s*\$\{\{([^]*)\}\}\s*$/);
+    return match ? match[1].trim() : iff.trim();
+};
+
+/**
+ * Whether an `if` would mean the same thing if evaluated before the step
+ * that it's on, which isn't the case for conditions on the job's status, or
+ * on things that earlier steps can change.
+ */
+const isStaticIf = (iff /*:string*/) =>
+    !/\b(steps|job|env)\.|\b(success|failure|always|cancelled)\s*\(/.test(iff);
+
+const describeArgs = (args /*:SetupArgs*/, sep) =>
+    Object.keys(args)
+        .map(name => `${name}${sep}${String(args[name])}`)
+        .join(', ');
+
+const addSetup = (ctx /*: Context*/, setupId, args /*:SetupArgs*/, conditions) => {
+    const definition = ctx.setupSteps[setupId];
+    if (!definition) {
+        throw new Error(`Invalid setupId: ${setupId}`);
+    }
+    const resolved = resolveSetupArgs(setupId, definition, args);
+    // Each distinct set of arguments gets its own node, while identical
+    // arguments (including defaults) are deduplicated.
+    const hasArgs = Object.keys(resolved).length > 0;
+    const key = hasArgs ? `setup-${setupId}(${describeArgs(resolved, '=')})` : `setup-${setupId}`;
+    if (setupId === 'checkout') {
+        conditions = [];
     }
     if (ctx.nodes[key]) {
-        propagatePaths(ctx, key, pathIds);
+        propagateConditions(ctx, key, conditions);
         return key;
     }
-    addNode(ctx, key, {type: 'setup', setup: ctx.setupSteps[setupId]}, pathIds);
-    if (!ctx.setupSteps[setupId]) {
-        throw new Error(`Invalid setupId: ${setupId}`);
-    }
-    if (!Array.isArray(ctx.setupSteps[setupId])) {
-        processSetup(ctx, key, ctx.setupSteps[setupId].setup, pathIds);
+    const substituted = substituteInputs(
+        expandCache(setupId, definition, Object.keys(resolved)),
+        setupId,
+        resolved,
+    );
+    ctx.unnamespaced[key] = substituted;
+    const setup /*:Setup*/ = namespaceStepIds(
+        setupId,
+        substituted,
+        stepNamespace(setupId, resolved),
+    );
+    const name = hasArgs ? `${setupId} (${describeArgs(resolved, ': ')})` : setupId;
+    addNode(ctx, key, {type: 'setup', setupId, args: resolved, name, setup}, conditions);
+    if (!Array.isArray(setup)) {
+        // A setup's own paths only apply to its own steps, in addition to
+        // whatever conditions its consumers have.
+        const ownPatterns = pathPatterns(setup);
+        if (ownPatterns) {
+            if (setupId === 'checkout') {
+                throw new Error('The "checkout" setup cannot have paths');
+            }
+            const ownPaths = addPaths(ctx, ownPatterns);
+            ctx.nodes[key].ownPaths = ownPaths;
+            addEdge(ctx, key, ownPaths);
+        }
+        processSetup(ctx, key, setup.setup, conditions);
     }
     return key;
 };
 
 const andIfs = (one /*:string*/, two /*:string*/) => `(${one}) && (${two})`;
 
+// An `if: true` is the same as no `if`, and an `if: false` stays false.
 const maybeAddIf = (iff /*:?string*/, step /*:Step*/) => {
-    if (!iff) {
+    if (!iff || step.if === false) {
         return step;
     }
-    if (step.if) {
-        iff = andIfs(iff, step.if);
-    }
-    return {...step, if: iff};
+    return {...step, if: typeof step.if === 'string' ? andIfs(iff, step.if) : iff};
 };
 
-const assignedPathIds /*:{[key: string]: Array<string>}*/ = {};
-const makePathsId = (paths /*:Array<string>*/) => {
-    const text = 'paths_' + paths.map(path => path.replace(/\W+/g, '_')).join('__');
-    let num = 0;
-    // At some point we just give up
-    while (num < 1000) {
-        const key = num === 0 ? text : `${text}-${num}`;
-        if (!assignedPathIds[key]) {
-            assignedPathIds[key] = paths;
-            return key;
-        }
-        const prev = assignedPathIds[key];
-        if (prev.length === paths.length && prev.every((item, i) => item === paths[i])) {
-            return key;
-        }
-        num += 1;
-    }
-    throw new Error("This can't happen");
-};
+const pathsIfRx = /^steps\.changes\.outputs\.[\w-]+ == 'true'$/;
 
-const compileIf = (deps /*: ?{[key: string]: boolean}*/, ids) => {
-    if (!deps) {
+/**
+ * The `if` for a node that runs if any of its conditions hold, where each
+ * condition can depend on some paths, and on an `if` of its own.
+ */
+const compileIf = (maybeConditions /*: ?{[key: string]: Condition}*/, ids) => {
+    const conditions = maybeConditions;
+    if (!conditions) {
         return null;
     }
-    return Object.keys(deps)
-        .map(paths => `steps.${ids[paths]}.outputs.changed == 'true'`)
-        .join(' || ');
-};
-
-const processBailUnless = steps => {
-    const bails = steps.filter(step => !!step.bail_if);
-    if (!bails.length) {
-        return;
-    }
-    bails.forEach((bail, i) => {
-        if (!bail.id) {
-            bail.id = `bail_if_${i + 1}`;
-        }
-        if (!bail.bail_if) {
-            return;
-        }
-        const cond =
-            '!(' + bail.bail_if.replace(/(?<!\.)outputs\./g, `steps.${bail.id}.outputs.`) + ')';
-        delete bail.bail_if;
-        steps.slice(steps.indexOf(bail) + 1).forEach(step => {
-            step.if = step.if ? andIfs(cond, step.if) : cond;
-        });
+    const terms = Object.keys(conditions).map(key => {
+        const {paths, if: iff} = conditions[key];
+        const pathsIf = paths ? `steps.changes.outputs.${ids[paths]} == 'true'` : null;
+        return pathsIf && iff ? andIfs(pathsIf, iff) : pathsIf || iff || 'true';
     });
+    if (terms.length === 1) {
+        return terms[0];
+    }
+    return terms.map(term => (pathsIfRx.test(term) ? term : `(${term})`)).join(' || ');
 };
 
-const compileSteps = (job /*: Job */, setupSteps /*: SetupSteps */) => {
+const isActionNode = (ctx /*: Context*/, node /*: Node*/) =>
+    !!ctx.actions &&
+    node.contents.type === 'setup' &&
+    isActionSetup(node.contents.setupId, node.contents.setup);
+
+/**
+ * Compile the steps of a job, returning them along with the provenance of
+ * each of them, and the graph that they were ordered by. If `actions` is
+ * given, setups are compiled into composite actions (see `setup-actions.js`),
+ * which are added to it.
+ */
+const compileSteps = (
+    job /*: Job */,
+    setupSteps /*: SetupSteps */,
+    actions /*: ?Actions*/ = null,
+) /*: {steps: Array<Step>, provenance: Array<Provenance>, graph: Graph}*/ => {
     const nodes /*: {[key: string]: Node}*/ = {};
-    const ctx /*:Context*/ = {nodes, setupSteps};
+    const ctx /*:Context*/ = {nodes, setupSteps, actions, unnamespaced: {}};
 
-    job.steps.forEach((step, i) => {
+    job.steps.forEach((original, i) => {
+        const step = {...original};
+        if (step.if === true) {
+            delete step.if;
+        }
+        if ('skip_on_cache_hit' in step) {
+            throw new Error(
+                `Step "${step.name || step.run || step.uses || ''}" has skip_on_cache_hit, ` +
+                    `but only the steps of a setup with a cache can`,
+            );
+        }
         const key = `step-${i}`;
-        const pathIds = step.paths ? [addPaths(ctx, step.paths)] : [];
-        addNode(ctx, key, {type: 'step', step}, pathIds);
-        processSetup(ctx, key, step.setup, pathIds);
+        const patterns = pathPatterns(step);
+        const paths = patterns ? addPaths(ctx, patterns) : null;
+        addNode(ctx, key, {type: 'step', step}, paths ? [{paths, if: null}] : []);
+        nodes[key].source = step.__source;
+        nodes[key].comments = step.__comments;
+        // The step's setups only need to run if the step will, as far as we
+        // can tell ahead of time.
+        const iff = step.if == null ? null : normalizeIf(String(step.if));
+        const staticIf = iff && isStaticIf(iff) ? iff : null;
+        processSetup(ctx, key, step.setup, paths || staticIf ? [{paths, if: staticIf}] : []);
+        delete step.__source;
+        delete step.__comments;
         delete step.setup;
         delete step.paths;
+        delete step['paths-ignore'];
         delete step.local;
         delete step.local_env_flag;
         delete step.local_cache_directory;
@@ -378,110 +548,431 @@ const compileSteps = (job /*: Job */, setupSteps /*: SetupSteps */) => {
             addEdge(ctx, `step-${i}`, `step-${i - 1}`);
         }
     });
-    processSetup(ctx, 'step-0', job.setup, []);
-    delete job.setup;
+    processSetup(ctx, 'step-0', job.setup, [], 'job');
+    namespaceRepeatedSetups(nodes, ctx.unnamespaced);
+
+    // Local actions can't be found until the repo has been checked out.
+    const actionKeys = Object.keys(nodes).filter(nodeId => isActionNode(ctx, nodes[nodeId]));
+    if (actionKeys.length) {
+        if (!setupSteps.checkout) {
+            throw new Error('You must have a "checkout" setup if you are using setup-actions');
+        }
+        const checkoutKey = addSetup(ctx, 'checkout', {}, []);
+        actionKeys.forEach(actionKey => {
+            addEdge(ctx, actionKey, checkoutKey);
+            if (!nodes[checkoutKey].consumers.includes(actionKey)) {
+                nodes[checkoutKey].consumers.push(actionKey);
+            }
+        });
+    }
 
+    const checkoutKeys = Object.keys(nodes).filter(nodeId => {
+        const contents = nodes[nodeId].contents;
+        return contents.type === 'setup' && contents.setupId === 'checkout';
+    });
     for (const nodeId of Object.keys(nodes)) {
         if (nodes[nodeId].contents.type === 'paths') {
-            if (!ctx.nodes['setup-checkout']) {
+            if (!checkoutKeys.length) {
                 throw new Error(
                     'You must have a "checkout" setup if you are using step- or job-level paths',
                 );
             }
-            addEdge(ctx, nodeId, 'setup-checkout');
+            checkoutKeys.forEach(checkoutKey => addEdge(ctx, nodeId, checkoutKey));
         }
     }
 
+    const graph = snapshotGraph(nodes);
     const ordering = kahnsAlgorithm(nodes);
+    const pathsKeys = ordering.filter(id => nodes[id].contents.type === 'paths');
+    const pathsIds = makePathsIds(pathsKeys.map(id => pathsOf(nodes[id])));
     const pathsMap /*:{[key: string]:string}*/ = {};
+    const groups = pathsKeys.map((id, i) => {
+        pathsMap[id] = pathsIds[i];
+        return {id: pathsIds[i], paths: pathsOf(nodes[id])};
+    });
     const steps = [];
+    const provenance = [];
+    const emit = (step, origin) => {
+        steps.push(step);
+        provenance.push(origin);
+    };
+    // Setups' post steps, most recent setup first
+    const posts = [];
 
     ordering.forEach(id => {
         const item = nodes[id].contents;
-        const pathsIf = compileIf(nodes[id].pathDeps, pathsMap);
+        const nodeConditions = nodes[id].conditions;
+        const conditions = {
+            when: nodeConditions
+                ? Object.keys(nodeConditions).map(key => {
+                      const {paths, if: iff} = nodeConditions[key];
+                      return {paths: paths ? pathsOf(nodes[paths]) : null, if: iff};
+                  })
+                : null,
+            ownPaths: nodes[id].ownPaths ? pathsOf(nodes[nodes[id].ownPaths]) : null,
+        };
+        const ownPaths = nodes[id].ownPaths;
+        const consumerIf = compileIf(nodeConditions, pathsMap);
+        const ownIf = ownPaths ? compileIf({own: {paths: ownPaths, if: null}}, pathsMap) : null;
+        const pathsIf = ownIf && consumerIf ? andIfs(ownIf, consumerIf) : ownIf || consumerIf;
         if (item.type === 'paths') {
-            pathsMap[id] = makePathsId(item.paths);
-            steps.push(compilePaths(pathsMap[id], item.paths));
-            // pass
+            // All of the groups are checked by a single step, which goes
+            // where the first of them would have been.
+            if (pathsMap[id] === groups[0].id) {
+                emit(compileChanges(groups), {
+                    ...conditions,
+                    source: null,
+                    generated: 'checks which paths have changed',
+                    via: [],
+                });
+            }
         } else if (item.type === 'setup') {
-            const name = id.slice('setup-'.length);
+            const start = steps.length;
+            const name = item.name;
             const itemSteps = Array.isArray(item.setup)
                 ? [...item.setup]
                 : !item.setup.steps
                     ? null
                     : [...item.setup.steps];
+            const via = consumerChain(ctx, id, {});
+            const origin = (step /*:?Step*/, generated = 'marks the setup') => ({
+                ...conditions,
+                source: step ? step.__source : null,
+                comments: step ? step.__comments : null,
+                setup: name,
+                generated: step ? null : generated,
+                via,
+            });
+            const strip = (step /*:Step*/) /*:Step*/ => {
+                const copy = {...step};
+                delete copy.__source;
+                delete copy.__comments;
+                return copy;
+            };
             if (!itemSteps) {
                 // do nothing
+            } else if (actions && isActionNode(ctx, nodes[id])) {
+                actions[item.setupId] = compositeAction(item.setupId, setupSteps[item.setupId]);
+                emit(
+                    maybeAddIf(pathsIf, useAction(item.setupId, name, item.args)),
+                    origin(null, `runs the setup's action, in ${actionsDir}/${item.setupId}`),
+                );
             } else if (itemSteps.length === 1) {
-                steps.push(
+                emit(
                     maybeAddIf(pathsIf, {
-                        ...itemSteps[0],
+                        ...strip(itemSteps[0]),
                         name: `▶️ Setup ${name}: ${itemSteps[0].name || ''}`,
                     }),
+                    origin(itemSteps[0]),
                 );
             } else {
-                steps.push(
+                emit(
                     maybeAddIf(pathsIf, {
                         name: `🔽 Start setup [${name}]`,
                         run: 'echo "Setting something up"',
                     }),
+                    origin(null),
                 );
-                steps.push(...itemSteps.map(step => maybeAddIf(pathsIf, step)));
-                steps.push(
+                itemSteps.forEach(step => emit(maybeAddIf(pathsIf, strip(step)), origin(step)));
+                emit(
                     maybeAddIf(pathsIf, {
                         name: `🔼 Finished setup [${name}]`,
                         run: 'echo "Finished setting it up"',
                     }),
+                    origin(null),
                 );
             }
+            const post = Array.isArray(item.setup) ? null : item.setup.post;
+            if (post && post.length) {
+                // Only if the setup ran, so not if the job bailed before it.
+                posts.unshift(bails => {
+                    const postIf = ['always()', pathsIf ? `(${pathsIf})` : null]
+                        .concat(bailsBefore(bails, start))
+                        .filter(Boolean)
+                        .join(' && ');
+                    post.forEach(step =>
+                        emit(
+                            maybeAddIf(postIf, {
+                                ...strip(step),
+                                name: `◀️ Post setup ${name}: ${step.name || ''}`,
+                            }),
+                            origin(step),
+                        ),
+                    );
+                });
+            }
         } else {
-            steps.push(maybeAddIf(pathsIf, item.step));
+            emit(maybeAddIf(pathsIf, item.step), {
+                ...conditions,
+                source: nodes[id].source,
+                comments: nodes[id].comments,
+                via: [],
+            });
         }
     });
 
-    processBailUnless(steps);
+    const bails = processBailUnless(steps);
+    // These come after any bails, because they need to clean up after the
+    // setups that ran before the job bailed.
+    posts.forEach(emitPost => emitPost(bails));
+    checkStepIds(steps, provenance);
 
-    job.steps = steps;
+    return {steps, provenance, graph};
 };
 
-const processFile = (infile /*:string*/, outfile /*:string*/) => {
-    console.log(chalk.dim(`Processing ${infile}`));
-    const raw = fs.readFileSync(infile, 'utf8');
-    // flow-next-uncovered-line
-    const data /*: Workflow */ = /*:: (*/ yaml.safeLoad(raw) /*:: :any)*/;
-    if (!data || !data.jobs) {
-        throw new Error(`Not a valid workflow file ${infile}`);
+/**
+ * Jobs with `paths` (or `paths-ignore`) are gated by a generated `changes`
+ * job, which checks all of the job-level paths at once and exposes the
+ * results as job outputs. Each gated job `needs` it, and only runs if its
+ * paths matched, so no runner is allocated for jobs with nothing to do.
+ *
+ * Note that as usual in github actions, jobs that `need` a skipped job are
+ * skipped as well.
+ */
+const compileJobPaths = (
+    jobs /*: {[key: string]: Job}*/,
+    setupSteps /*: SetupSteps */,
+) /*: {[key: string]: Job}*/ => {
+    const patternsByKey = {};
+    const jobPaths = {};
+    Object.keys(jobs).forEach(jobId => {
+        const patterns = pathPatterns(jobs[jobId]);
+        if (patterns) {
+            jobPaths[jobId] = patterns.join('#');
+            patternsByKey[patterns.join('#')] = patterns;
+        }
+    });
+    const keys = Object.keys(patternsByKey);
+    const ids = makePathsIds(keys.map(key => patternsByKey[key]));
+    const groups /*: Array<PathsGroup>*/ = keys.map((key, i) => ({
+        id: ids[i],
+        paths: patternsByKey[key],
+    }));
+    const compiled = {};
+    Object.keys(jobs).forEach(jobId => {
+        const job = {...jobs[jobId]};
+        delete job.paths;
+        delete job['paths-ignore'];
+        compiled[jobId] = job;
+        if (!jobPaths[jobId]) {
+            return;
+        }
+        const cond = `needs.changes.outputs.${ids[keys.indexOf(jobPaths[jobId])]} == 'true'`;
+        const needs = job.needs ? (Array.isArray(job.needs) ? job.needs : [job.needs]) : [];
+        const added /*: {[key: string]: mixed}*/ = {
+            needs: needs.includes('changes') ? needs : ['changes', ...needs],
+        };
+        if (job.if !== false) {
+            added.if = typeof job.if === 'string' ? andIfs(cond, job.if) : cond;
+        }
+        compiled[jobId] = insertBefore(job, 'steps', added);
+    });
+    if (!groups.length) {
+        return compiled;
+    }
+    if (jobs.changes) {
+        throw new Error(
+            'A job can\'t be called "changes" when using job-level paths, as that job is generated',
+        );
     }
+    if (!setupSteps.checkout) {
+        throw new Error(
+            'You must have a "checkout" setup if you are using step- or job-level paths',
+        );
+    }
+    const outputs = {};
+    groups.forEach(({id}) => {
+        outputs[id] = `$\{{ steps.changes.outputs.${id} }}`;
+    });
+    const changes /*: Job*/ = {
+        'runs-on': 'ubuntu-latest',
+        outputs,
+        steps: [{...compileChanges(groups), setup: 'checkout'}],
+    };
+    return {changes, ...compiled};
+};
 
-    const directory = path.dirname(infile);
-    if (data.include) {
-        data.setup = {...data.setup}; // flow-uncovered-line
-        data.include.forEach(other => {
-            const otherFull = path.resolve(directory, other);
-            if (!fs.existsSync(otherFull)) {
-                throw new Error(`Included file ${other} not found (from ${infile})`);
-            }
-            const raw = fs.readFileSync(otherFull, 'utf8');
-            /* flow-uncovered-block */
-            const parsed /*: Workflow */ = /*:: (*/ yaml.safeLoad(raw) /*:: :any)*/;
-            Object.assign(data.setup, parsed.setup);
-            /* end flow-uncovered-block */
-        });
-        delete data.include;
+/**
+ * Compile all of the jobs in a workflow. If given, `provenance` is filled in
+ * with the provenance of each job's steps, and `actions` with the setups that
+ * have been compiled into actions.
+ */
+const compileJobs = (
+    jobs /*: {[key: string]: Job}*/,
+    setupSteps /*: SetupSteps */,
+    provenance /*: {[jobId: string]: Array<Provenance>}*/ = {},
+    actions /*: ?Actions*/ = null,
+    graphs /*: {[jobId: string]: Graph}*/ = {},
+) /*: {[key: string]: Job}*/ => {
+    const withPaths = compileJobPaths(jobs, setupSteps);
+    const compiled = {};
+    for (const jobId of Object.keys(withPaths)) {
+        const job = {...withPaths[jobId]};
+        const result = compileSteps(job, setupSteps, actions);
+        delete job.setup;
+        job.steps = result.steps;
+        compiled[jobId] = job;
+        provenance[jobId] = result.provenance;
+        graphs[jobId] = result.graph;
     }
+    return compiled;
+};
 
+const generatedHeader = '# AUTOGENERATED by workflow-preprocessor.js';
+
+/*::
+export type CompiledTemplate = {
+    output: string,
+    files: Array<string>,
+    workflow: Workflow,
+    provenance: {[jobId: string]: Array<Provenance>},
+    // The graph that each job's steps were ordered by (see `graph.js`)
+    graphs: {[jobId: string]: Graph},
+    packages: IncludedPackages,
+    // The contents of the composite actions, by setup id
+    actions: {[setupId: string]: string},
+};
+import type {IncludedPackages} from './includes';
+*/
+
+/**
+ * Compile a workflow whose includes have already been combined into it,
+ * along with the provenance of its steps, and any setup actions.
+ */
+const compileCombined = (combined /*: Workflow*/, vars /*: ?Vars*/) => {
+    const data = applyJobTemplates(substituteVars(combined, vars || {}));
     const setupSteps = data.setup || {};
     delete data.setup;
-    for (const jobId of Object.keys(data.jobs)) {
-        compileSteps(data.jobs[jobId], setupSteps);
-    }
-    const relativeInfile = path.relative(path.resolve(__dirname, '../../'), infile);
-    fs.writeFileSync(
-        outfile,
-        `# AUTOGENERATED by workflow-preprocessor.js from ${relativeInfile}
+    const actions = data['setup-actions'] ? {} : null;
+    delete data['setup-actions'];
+    const provenance = {};
+    const graphs = {};
+    data.jobs = compileJobs(data.jobs, setupSteps, provenance, actions, graphs);
+    return {workflow: data, provenance, graphs, actions: actions || {}};
+};
+
+/*::
+export type CompileOptions = {
+    resolveInclude?: (spec: string, from: string) => ResolvedInclude,
+    // What to call the workflow in error messages
+    name?: string,
+    // Overrides for the template's `vars`
+    vars?: Vars,
+};
+import type {ResolvedInclude} from './includes';
+import type {Vars} from './template-vars';
+import type {WriteStatus} from './utils';
+*/
+
+/**
+ * Compile a workflow (as parsed from a template) into the workflow that
+ * github will run. This doesn't touch the filesystem, or modify `template`,
+ * so the same template always compiles to the same workflow. Each `include`
+ * is looked up with `resolveInclude`, given the entry and the name of the
+ * file that it's in (see `combineIncludes`).
+ */
+const compileWorkflow = (
+    template /*: Workflow*/,
+    {resolveInclude, name = 'workflow', vars} /*: CompileOptions*/ = {},
+) /*: Workflow*/ => {
+    const resolve =
+        resolveInclude ||
+        (spec => {
+            throw new Error(`Can't include ${spec}, as there's no resolveInclude`);
+        });
+    return compileCombined(combineIncludes(template, name, resolve), vars).workflow;
+};
 
-` + yaml.safeDump(data, {noRefs: true}),
+/*::
+export type CombinedTemplate = {
+    // The template, combined with everything it includes, but not compiled
+    workflow: Workflow,
+    files: Array<string>,
+    packages: IncludedPackages,
+    // Where each setup is defined, as `file:line`
+    setupSources: {[setupId: string]: string},
+};
+*/
+
+/**
+ * Load a workflow template, and combine it with everything that it includes,
+ * returning every file that went into it (the template itself, and anything
+ * it includes), and the packages that were included (for the lockfile).
+ */
+const combineTemplate = (infile /*:string*/) /*:CombinedTemplate*/ => {
+    const directory = path.dirname(infile);
+    const setupSources = {};
+    const load = (file, name) => {
+        const raw = fs.readFileSync(file, 'utf8');
+        const {data, locate} = loadLocatedTemplate(
+            raw,
+            name.startsWith('pkg:') ? name : path.relative(process.cwd(), file),
+        );
+        if (data) {
+            tagSources(data, locate, name);
+            tagComments(data, raw, locate, file === path.resolve(infile));
+            Object.keys(data.setup || {}).forEach(setupId => {
+                const position = locate(['setup', setupId], true);
+                setupSources[setupId] = `${name}:${position ? position.line : 1}`;
+            });
+        }
+        return data;
+    };
+    const {workflow, files, packages} = resolveIncludes(infile, load, file =>
+        path.relative(directory, file),
     );
+    return {workflow, files, packages, setupSources};
 };
 
-module.exports = {processFile, compileSteps, compilePaths};
+/**
+ * Compile a workflow template, returning the contents of the generated
+ * workflow file, along with the files and packages that went into it (see
+ * `combineTemplate`). The compiled workflow and the provenance of its steps
+ * are returned too, for `make-workflows explain`. `vars` overrides the
+ * template's variables (see `template-vars.js`), and `header` is the comment
+ * that generated files start with. The header names the template by its path
+ * from `root` (the top of the repo), so that it's the same in every checkout.
+ */
+const compileTemplate = (
+    infile /*:string*/,
+    {
+        vars,
+        header = generatedHeader,
+        root = path.dirname(infile),
+    } /*: {vars?: Vars, header?: string, root?: string}*/ = {},
+) /*:CompiledTemplate*/ => {
+    const {workflow: combined, files, packages} = combineTemplate(infile);
+    const {workflow, provenance, graphs, actions} = compileCombined(combined, vars);
+    const relativeInfile = path.relative(root, infile);
+    const output =
+        `${header} from ${relativeInfile}\n\n` + dumpWithProvenance(workflow, provenance);
+    const actionFiles = {};
+    Object.keys(actions).forEach(setupId => {
+        actionFiles[setupId] =
+            `${header} from setup ${setupId}\n\n` + yaml.safeDump(actions[setupId], {noRefs: true});
+    });
+    return {output, files, workflow, provenance, graphs, packages, actions: actionFiles};
+};
+
+/**
+ * Compile a template, and write the generated workflow to `outfile` if it
+ * has changed.
+ */
+const processFile = (infile /*:string*/, outfile /*:string*/) /*:WriteStatus*/ => {
+    console.log(chalk.dim(`Processing ${infile}`));
+    return writeIfChanged(outfile, compileTemplate(infile).output);
+};
+
+module.exports = {
+    generatedHeader,
+    processFile,
+    combineTemplate,
+    compileTemplate,
+    compileWorkflow,
+    compileJobs,
+    compileSteps,
+    compileChanges,
+    changesScript,
+    pathPatterns,
+    setupList,
+};
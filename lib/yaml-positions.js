@@ -0,0 +1,115 @@
+// @flow
+/**
+ * js-yaml doesn't tell us where in the source a value came from, but it does
+ * let us listen to the parser opening and closing each node. From that we
+ * build a tree of positions that mirrors the parsed data, so that errors can
+ * point to the template's line and column.
+ */
+const yaml = require('js-yaml');
+
+/*::
+export type Position = {line: number, column: number};
+type PositionNode = {
+    position: Position,
+    keys: {[key: string]: Position},
+    children: {[key: string]: PositionNode},
+};
+type RawNode = {start: number, result: mixed, children: Array<RawNode>};
+export type Located = {
+    data: any,
+    locate: (path: Array<string | number>, key?: boolean) => ?Position,
+};
+*/
+
+// The parser opens a node before skipping any whitespace or comments.
+const skipSpace = (raw /*:string*/, start /*:number*/) => {
+    let i = start;
+    while (i < raw.length) {
+        if (/\s/.test(raw[i])) {
+            i += 1;
+        } else if (raw[i] === '#') {
+            while (i < raw.length && raw[i] !== '\n') {
+                i += 1;
+            }
+        } else {
+            break;
+        }
+    }
+    return i;
+};
+
+const positionAt = (raw /*:string*/, offset /*:number*/) /*:Position*/ => {
+    const before = raw.slice(0, offset).split('\n');
+    return {line: before.length, column: before[before.length - 1].length + 1};
+};
+
+const buildTree = (raw, node /*:RawNode*/) /*:PositionNode*/ => {
+    // Some collections get wrapped in an extra node with the same result.
+    while (node.children.length === 1 && node.children[0].result === node.result) {
+        node = node.children[0];
+    }
+    const tree = {
+        position: positionAt(raw, skipSpace(raw, node.start)),
+        keys: {},
+        children: {},
+    };
+    const result = node.result;
+    if (Array.isArray(result)) {
+        node.children.forEach((child, i) => {
+            tree.children[String(i)] = buildTree(raw, child);
+        });
+    } else if (result && typeof result === 'object') {
+        // Mapping children alternate between keys and values.
+        for (let i = 0; i < node.children.length; i += 2) {
+            const key = String(node.children[i].result);
+            tree.keys[key] = positionAt(raw, skipSpace(raw, node.children[i].start));
+            if (i + 1 < node.children.length) {
+                tree.children[key] = buildTree(raw, node.children[i + 1]);
+            }
+        }
+    }
+    return tree;
+};
+
+/**
+ * Parse some yaml, also returning a `locate` function that finds the source
+ * position of the value at a given path (or of its key, if `key` is true).
+ * If the exact path can't be found, the closest parent's position is used.
+ */
+const loadWithPositions = (raw /*:string*/) /*:Located*/ => {
+    const stack /*:Array<RawNode>*/ = [{start: 0, result: null, children: []}];
+    // The flow-typed definitions don't know about `listener`.
+    const options /*: any*/ = {
+        listener: (event, state) => {
+            if (event === 'open') {
+                stack.push({start: state.position, result: null, children: []});
+            } else {
+                const node = stack.pop();
+                node.result = state.result;
+                stack[stack.length - 1].children.push(node);
+            }
+        },
+    };
+    const data = yaml.safeLoad(raw, options);
+    const root = stack[0].children.length ? buildTree(raw, stack[0].children[0]) : null;
+    const locate = (path, key = false) => {
+        if (!root) {
+            return null;
+        }
+        let node = root;
+        for (let i = 0; i < path.length; i++) {
+            const part = String(path[i]);
+            if (key && i === path.length - 1 && node.keys[part]) {
+                return node.keys[part];
+            }
+            if (!node.children[part]) {
+                return node.keys[part] || node.position;
+            }
+            node = node.children[part];
+        }
+        return node.position;
+    };
+    return {data, locate};
+};
+
+module.exports = {loadWithPositions};